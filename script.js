@@ -1,10 +1,16 @@
 class AudioPlayer {
-    constructor() {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    constructor(audioContext) {
+        //Pass in an OfflineAudioContext or similar if you don't want to play to the speakers
+        this.audioContext = audioContext ?? new (window.AudioContext || window.webkitAudioContext)();
         this.activeOscillators = new Map();
+        this.scheduledVoices = new Set(); //Voices from scheduleNote, so they can be cancelled
+        this.sustainPedal = false;
+        this.sustainedNotes = new Set(); //Let go of while the pedal was down
+        this.pitchBend = 0; //Cents, for the notes you play live
         this.masterGain = this.audioContext.createGain();
         this.masterGain.connect(this.audioContext.destination);
         this.setVolume(0.5);
+        this.setVoice(AudioPlayer.defaultVoice());
     }
 
     midiNoteToFrequency(note) {
@@ -12,65 +18,549 @@ class AudioPlayer {
     }
 
     setVolume(value) {
+        this.volume = value;
         this.masterGain.gain.setValueAtTime(value, this.audioContext.currentTime);
     }
 
+    //What the old bare oscillator sounded like
+    static defaultVoice() {
+        return {
+            waveform: 'triangle',
+            attack: 0.01, decay: 0.1, sustain: 1.0, release: 0.05, //seconds, except sustain which is a level
+            filterCutoff: 20000, filterResonance: 0.7, //Hz, Q
+            filterEnvAmount: 0, filterAttack: 0.01, filterDecay: 0.2, filterSustain: 0.0, //How many octaves the envelope opens the filter
+            velocityToCutoff: 0.5, //0 to 1. How much softer notes close the filter
+            unison: 1, detune: 0, //oscillators, cents of spread between them
+            vibratoRate: 5, vibratoDepth: 0 //Hz, cents
+        };
+    }
+
+    setVoice(settings) {
+        this.voice = { ...AudioPlayer.defaultVoice(), ...settings };
+    }
+
+    //A preset from a SoundFont, or undefined to go back to the synth
+    setInstrument(soundFont, presetIndex) {
+        if (soundFont) this.soundFont = soundFont;
+        this.instrument = soundFont? { soundFont, presetIndex } : undefined;
+    }
+
+    //Named voices that scripts can ask for with `instrument`, like the synthPresets
+    setPresets(presets) {
+        this.presets = presets;
+    }
+
+    //So another player (like one rendering offline) sounds the same as this one
+    copySettingsFrom(audioPlayer) {
+        this.setVoice(audioPlayer.voice);
+        this.setVolume(audioPlayer.volume);
+        this.instrument = audioPlayer.instrument;
+        this.soundFont = audioPlayer.soundFont;
+        this.presets = audioPlayer.presets;
+    }
+
+    //Works out what an instrument name from a script means: a waveform, a synth preset, or a SoundFont preset.
+    //Anything it doesn't know (or no name at all) is whatever is picked in Synth Options.
+    resolveInstrument(name) {
+        const fallback = { voice: this.voice, instrument: this.instrument };
+        if (!name) return fallback;
+        const lowerName = name.toLowerCase();
+        if (['triangle', 'sawtooth', 'square', 'sine'].includes(lowerName)) {
+            return { voice: { ...this.voice, waveform: lowerName }, instrument: undefined };
+        }
+        const presetName = Object.keys(this.presets ?? {}).find((preset) => preset.toLowerCase() === lowerName);
+        if (presetName) {
+            return { voice: { ...AudioPlayer.defaultVoice(), ...this.presets[presetName] }, instrument: undefined };
+        }
+        const presetIndex = this.soundFont?.presets.findIndex((preset) => preset.name.toLowerCase() === lowerName) ?? -1;
+        if (presetIndex >= 0) {
+            return { voice: this.voice, instrument: { soundFont: this.soundFont, presetIndex } };
+        }
+        return fallback;
+    }
+
     setWaveform(waveform) {
-        this.waveform = waveform;
+        this.voice.waveform = waveform;
     }
 
-    playNote(note, velocity = 1.0) {
+    //Sends every note to a MIDIOutputRouter too. The synth stays on unless the router says otherwise.
+    setMIDIOut(router) {
+        this.midiOut = router;
+    }
+
+    usesSynth() {
+        return !this.midiOut?.active() || this.midiOut.synth;
+    }
+
+    //The audio clock to the clock MIDIOutput.send wants
+    toPerformanceTime(when) {
+        return performance.now() + (when - this.now()) * 1000;
+    }
+
+    now() {
+        return this.audioContext.currentTime;
+    }
+
+    resume() {
         if (this.audioContext.state === 'suspended') {
             this.audioContext.resume();
         }
+    }
+
+    //Builds oscillators -> filter -> gain for one note, starting at `when` on the audio clock.
+    //Velocity (0 to 1) sets the loudness and how far the filter opens.
+    createVoice(note, velocity, when, instrumentName) {
+        const { voice, instrument } = this.resolveInstrument(instrumentName);
+        if (instrument) {
+            return this.createSampleVoice(note, velocity, when, instrument);
+        }
 
+        const settings = { ...voice };
         const frequency = this.midiNoteToFrequency(note);
-        
-        this.stopNote(note);
+        const nyquist = this.audioContext.sampleRate / 2;
+
+        settings.unison = Math.max(Math.round(settings.unison) || 1, 1);
+        const mixer = this.audioContext.createGain();
+        mixer.gain.value = 1 / Math.sqrt(settings.unison);
+
+        const oscillators = [];
+        for (let i = 0; i < settings.unison; ++i) {
+            const oscillator = this.audioContext.createOscillator();
+            oscillator.type = settings.waveform || 'triangle';
+            oscillator.frequency.setValueAtTime(frequency, when);
+            //Spread them evenly between -detune and +detune
+            oscillator.baseDetune = (settings.unison > 1)? settings.detune * (2 * i / (settings.unison - 1) - 1) : 0; //Where pitch bend starts from
+            oscillator.detune.setValueAtTime(oscillator.baseDetune, when);
+            oscillator.connect(mixer);
+            oscillators.push(oscillator);
+        }
+
+        let lfo = undefined;
+        if (settings.vibratoDepth > 0) {
+            lfo = this.audioContext.createOscillator();
+            lfo.frequency.value = settings.vibratoRate;
+            const lfoGain = this.audioContext.createGain();
+            lfoGain.gain.value = settings.vibratoDepth;
+            lfo.connect(lfoGain);
+            oscillators.forEach((oscillator) => lfoGain.connect(oscillator.detune));
+            oscillators.push(lfo); //So it gets started and stopped with the rest
+        }
+
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.Q.value = settings.filterResonance;
+        const baseCutoff = Math.min(settings.filterCutoff * Math.pow(2, (velocity - 1) * settings.velocityToCutoff * 3), nyquist);
+        const peakCutoff = Math.min(baseCutoff * Math.pow(2, settings.filterEnvAmount * velocity), nyquist);
+        filter.frequency.setValueAtTime(baseCutoff, when);
+        filter.frequency.linearRampToValueAtTime(peakCutoff, when + settings.filterAttack);
+        filter.frequency.setTargetAtTime(baseCutoff + (peakCutoff - baseCutoff) * settings.filterSustain, when + settings.filterAttack, Math.max(settings.filterDecay, 0.001) / 3);
 
-        const oscillator = this.audioContext.createOscillator();
         const gainNode = this.audioContext.createGain();
-        
-        oscillator.type = this.waveform || 'triangle';
-        oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
-        
-        oscillator.connect(gainNode);
+        gainNode.gain.setValueAtTime(0, when);
+        gainNode.gain.linearRampToValueAtTime(velocity, when + settings.attack);
+        gainNode.gain.setTargetAtTime(velocity * settings.sustain, when + settings.attack, Math.max(settings.decay, 0.001) / 3);
+
+        mixer.connect(filter);
+        filter.connect(gainNode);
         gainNode.connect(this.masterGain);
+
+        oscillators.forEach((oscillator) => oscillator.start(when));
+        return { oscillators, lfo, filter, gainNode, startTime: when, velocity, baseCutoff, peakCutoff, settings };
+    }
+
+    //Same idea as createVoice, but with the SoundFont's samples instead of oscillators
+    createSampleVoice(note, velocity, when, { soundFont, presetIndex }) {
+        const regions = soundFont.regionsFor(presetIndex, note, velocity);
+
+        const gainNode = this.audioContext.createGain();
+        gainNode.connect(this.masterGain);
+
+        const sources = regions.map((region) => {
+            const source = this.audioContext.createBufferSource();
+            source.buffer = soundFont.bufferFor(region);
+            source.playbackRate.setValueAtTime(Math.pow(2, ((note - region.rootKey) * 100 + region.tune) / 1200), when);
+            if (region.loop && region.loopEnd > region.loopStart) {
+                source.loop = true;
+                source.loopStart = (region.loopStart - region.start) / region.sample.sampleRate;
+                source.loopEnd = (region.loopEnd - region.start) / region.sample.sampleRate;
+            }
+
+            const regionGain = this.audioContext.createGain();
+            regionGain.gain.value = region.gain;
+            const panner = this.audioContext.createStereoPanner();
+            panner.pan.value = region.pan;
+            source.connect(regionGain);
+            regionGain.connect(panner);
+            panner.connect(gainNode);
+            return source;
+        });
+        if (sources.length === 0) {
+            //Nothing in the preset covers this key, but the rest of the code wants something it can start and stop
+            sources.push(this.audioContext.createBufferSource());
+        }
+
+        //Layers usually share an envelope, so the first one speaks for all of them
+        const { attack, decay, sustain, release } = regions[0] ?? { attack: 0.001, decay: 0.001, sustain: 0, release: 0.001 };
+        const settings = { attack, decay, sustain, release };
+        gainNode.gain.setValueAtTime(0, when);
+        gainNode.gain.linearRampToValueAtTime(velocity, when + attack);
+        gainNode.gain.setTargetAtTime(velocity * sustain, when + attack, Math.max(decay, 0.001) / 3);
+
+        sources.forEach((source) => source.start(when));
+        return { oscillators: sources, filter: undefined, gainNode, startTime: when, velocity, settings };
+    }
+
+    //Where an attack -> decay -> sustain curve is at time. Works out what the scheduled ramps above will be.
+    static envelopeAt(time, startTime, attack, decay, sustain, from, to) {
+        const t = time - startTime;
+        if (t <= 0) return from;
+        if (t < attack) return from + (to - from) * (t / attack);
+        const sustainLevel = from + (to - from) * sustain;
+        return sustainLevel + (to - sustainLevel) * Math.exp(-(t - attack) / (Math.max(decay, 0.001) / 3));
+    }
+
+    releaseVoice(voice, when) {
+        const { oscillators, filter, gainNode, startTime, velocity, baseCutoff, peakCutoff, settings } = voice;
+        const release = Math.max(settings.release, 0.001);
+
+        //cancelAndHoldAtTime would be nice, but Firefox doesn't have it
+        const level = AudioPlayer.envelopeAt(when, startTime, settings.attack, settings.decay, settings.sustain, 0, velocity);
+        gainNode.gain.cancelScheduledValues(when);
+        gainNode.gain.setValueAtTime(level, when);
+        gainNode.gain.setTargetAtTime(0, when, release / 4);
+
+        if (filter) {
+            const cutoff = AudioPlayer.envelopeAt(when, startTime, settings.filterAttack, settings.filterDecay, settings.filterSustain, baseCutoff, peakCutoff);
+            filter.frequency.cancelScheduledValues(when);
+            filter.frequency.setValueAtTime(cutoff, when);
+            filter.frequency.setTargetAtTime(baseCutoff, when, release / 4);
+        }
+
+        oscillators.forEach((oscillator) => oscillator.stop(when + release + 0.05));
+    }
+
+    //Stops a voice right now, even if it was scheduled to start or stop later
+    cancelVoice({ oscillators, gainNode }) {
+        const now = this.now();
+        gainNode.gain.cancelScheduledValues(now);
+        gainNode.gain.setTargetAtTime(0, now, 0.01);
+        oscillators.forEach((oscillator) => oscillator.stop(now + 0.05));
+    }
+
+    playNote(note, velocity = 1.0) {
+        this.resume();
+
+        const frequency = this.midiNoteToFrequency(note);
         
-        gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-        gainNode.gain.linearRampToValueAtTime(velocity, this.audioContext.currentTime + 0.01);
-        
-        oscillator.start();
-        this.activeOscillators.set(note, { oscillator, gainNode });
+        this.midiOut?.noteOff(note);
+        this.releaseNote(note);
+
+        this.midiOut?.noteOn(note, velocity);
+        if (!this.usesSynth()) return frequency;
+        const voice = this.createVoice(note, velocity, this.now());
+        this.bendVoice(voice, this.pitchBend);
+        this.activeOscillators.set(note, voice);
 
         return frequency;
     }
 
     stopNote(note) {
+        this.midiOut?.noteOff(note);
+        //The pedal keeps it going until it comes up
+        if (this.sustainPedal && this.activeOscillators.has(note)) {
+            this.sustainedNotes.add(note);
+            return;
+        }
+        this.releaseNote(note);
+    }
+
+    releaseNote(note) {
+        this.sustainedNotes.delete(note);
         const sound = this.activeOscillators.get(note);
         if (sound) {
-            const { oscillator, gainNode } = sound;
-            gainNode.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + 0.05);
-            oscillator.stop(this.audioContext.currentTime + 0.05);
+            this.releaseVoice(sound, this.now());
             this.activeOscillators.delete(note);
         }
     }
 
+    setSustain(down) {
+        if (down === this.sustainPedal) return;
+        this.sustainPedal = down;
+        this.midiOut?.controlChange(64, down ? 127 : 0);
+        if (!down) {
+            [...this.sustainedNotes].forEach((note) => this.releaseNote(note));
+        }
+    }
+
+    //bend is -1 to 1, range is semitones. Moves the notes you're holding, not the ones the game plays.
+    setPitchBend(bend, range = 2) {
+        const cents = bend * range * 100;
+        if (cents === this.pitchBend) return;
+        this.pitchBend = cents;
+        this.midiOut?.pitchBend(bend);
+        for (let voice of this.activeOscillators.values()) {
+            this.bendVoice(voice, cents);
+        }
+    }
+
+    bendVoice({ oscillators, lfo }, cents) {
+        for (let oscillator of oscillators) {
+            if (oscillator === lfo || !oscillator.detune) continue;
+            oscillator.detune.setTargetAtTime((oscillator.baseDetune ?? 0) + cents, this.now(), 0.005);
+        }
+    }
+
+    //Plays a note between two points on the audio clock. Used by the PlaybackScheduler. songVoice picks the MIDI out channel.
+    scheduleNote(note, velocity, startTime, endTime, instrument, songVoice) {
+        this.midiOut?.scheduleNote(note, velocity, this.toPerformanceTime(startTime), this.toPerformanceTime(endTime), songVoice);
+        if (!this.usesSynth()) return undefined;
+        const voice = this.createVoice(note, velocity, startTime, instrument);
+        this.releaseVoice(voice, endTime);
+        this.scheduledVoices.add(voice);
+        voice.oscillators[0].onended = () => {
+            this.scheduledVoices.delete(voice);
+        };
+        return voice;
+    }
+
+    cancelScheduled() {
+        this.midiOut?.cancelScheduled();
+        for (let voice of this.scheduledVoices) {
+            this.cancelVoice(voice);
+        }
+        this.scheduledVoices.clear();
+    }
+
     stopAll(){
+        this.midiOut?.releaseAll();
+        this.sustainedNotes.clear();
         for(let [note, sound] of this.activeOscillators.entries()){
             if((!note) || (!sound)) continue;
-            const { oscillator, gainNode } = sound;
-            gainNode.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + 0.05);
-            oscillator.stop(this.audioContext.currentTime + 0.05);
+            this.releaseVoice(sound, this.now());
             this.activeOscillators.delete(note);
         }
     }
+
+    //A short blip for the metronome. Straight to the speakers, never out the MIDI port.
+    click(when, accent = false) {
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        oscillator.type = 'square';
+        oscillator.frequency.setValueAtTime(accent ? 1760 : 1320, when);
+        gainNode.gain.setValueAtTime(.3, when);
+        gainNode.gain.exponentialRampToValueAtTime(.001, when + .05);
+        oscillator.connect(gainNode);
+        gainNode.connect(this.masterGain);
+        oscillator.start(when);
+        oscillator.stop(when + .06);
+    }
+
+    //Everything off, including whatever the MIDI gear is still holding
+    panic(){
+        this.cancelScheduled();
+        this.stopAll();
+        this.midiOut?.panic();
+    }
+}
+
+//SoundFont 2 (.sf2) sample instruments. Parses the whole file up front, but only turns samples into AudioBuffers when they get played.
+class SoundFont {
+    constructor({ presets, instruments, samples, sampleData }){
+        this.presets = presets; //[{ name, bank, program, zones: [generators], globalZone }]
+        this.instruments = instruments; //[{ name, zones: [generators], globalZone }]
+        this.samples = samples; //Sample headers from shdr
+        this.sampleData = sampleData; //Int16Array of every sample in the file
+        this.regionCache = new Map();
+        this.bufferCache = new Map();
+    }
+
+    static parse(buffer){
+        const data = new DataView(buffer);
+        const readString = (offset, length) => {
+            let str = "";
+            for(let i = 0; i < length; ++i){
+                const c = data.getUint8(offset + i);
+                if(c === 0) break;
+                str += String.fromCharCode(c);
+            }
+            return str;
+        };
+
+        if(readString(0, 4) !== "RIFF" || readString(8, 4) !== "sfbk") throw "Not a SoundFont 2 file";
+
+        //Flatten the RIFF tree into the chunks we want
+        const chunks = {};
+        const readChunks = (start, end) => {
+            let pos = start;
+            while(pos + 8 <= end){
+                const id = readString(pos, 4);
+                const size = data.getUint32(pos + 4, true);
+                if(id === "LIST"){
+                    readChunks(pos + 12, pos + 8 + size);
+                }else{
+                    chunks[id] = { offset: pos + 8, size };
+                }
+                pos += 8 + size + (size % 2); //Chunks are padded to even sizes
+            }
+        };
+        readChunks(12, Math.min(8 + data.getUint32(4, true), data.byteLength));
+        for(let required of ["smpl", "phdr", "pbag", "pgen", "inst", "ibag", "igen", "shdr"]){
+            if(!chunks[required]) throw "SoundFont is missing its " + required + " chunk";
+        }
+
+        const records = (id, size, read) => {
+            const out = [];
+            const { offset, size: chunkSize } = chunks[id];
+            for(let pos = offset; pos + size <= offset + chunkSize; pos += size) out.push(read(pos));
+            return out;
+        };
+
+        const bags = (id) => records(id, 4, (pos) => data.getUint16(pos, true));
+        const generators = (id) => records(id, 4, (pos) => {
+            const oper = data.getUint16(pos, true);
+            //Key and velocity ranges are two bytes, everything else is a signed 16 bit number
+            const amount = (oper === 43 || oper === 44)? [data.getUint8(pos + 2), data.getUint8(pos + 3)] : data.getInt16(pos + 2, true);
+            return { oper, amount };
+        });
+        //Turns bags into zones, each zone being { generatorNumber: amount }. The first zone is the global one if it doesn't point at anything.
+        const zones = (bagStart, bagEnd, bagList, generatorList, terminal) => {
+            const out = [];
+            for(let bag = bagStart; bag < bagEnd; ++bag){
+                const zone = {};
+                for(let gen = bagList[bag]; gen < bagList[bag + 1]; ++gen){
+                    zone[generatorList[gen].oper] = generatorList[gen].amount;
+                }
+                out.push(zone);
+            }
+            const globalZone = (out.length > 0 && !(terminal in out[0]))? out.shift() : {};
+            return { zones: out, globalZone };
+        };
+
+        const pbag = bags("pbag");
+        const pgen = generators("pgen");
+        const phdr = records("phdr", 38, (pos) => ({
+            name: readString(pos, 20),
+            program: data.getUint16(pos + 20, true),
+            bank: data.getUint16(pos + 22, true),
+            bagIndex: data.getUint16(pos + 24, true)
+        }));
+        const presets = phdr.slice(0, -1).map((preset, i) => ({
+            name: preset.name,
+            program: preset.program,
+            bank: preset.bank,
+            ...zones(preset.bagIndex, phdr[i + 1].bagIndex, pbag, pgen, 41)
+        }));
+
+        const ibag = bags("ibag");
+        const igen = generators("igen");
+        const inst = records("inst", 22, (pos) => ({ name: readString(pos, 20), bagIndex: data.getUint16(pos + 20, true) }));
+        const instruments = inst.slice(0, -1).map((instrument, i) => ({
+            name: instrument.name,
+            ...zones(instrument.bagIndex, inst[i + 1].bagIndex, ibag, igen, 53)
+        }));
+
+        const samples = records("shdr", 46, (pos) => ({
+            name: readString(pos, 20),
+            start: data.getUint32(pos + 20, true),
+            end: data.getUint32(pos + 24, true),
+            loopStart: data.getUint32(pos + 28, true),
+            loopEnd: data.getUint32(pos + 32, true),
+            sampleRate: data.getUint32(pos + 36, true),
+            originalPitch: data.getUint8(pos + 40),
+            pitchCorrection: data.getInt8(pos + 41)
+        })).slice(0, -1);
+
+        const smpl = chunks["smpl"];
+        const sampleData = new Int16Array(buffer.slice(smpl.offset, smpl.offset + smpl.size - (smpl.size % 2)));
+
+        presets.sort((a, b) => a.bank - b.bank || a.program - b.program);
+        return new SoundFont({ presets, instruments, samples, sampleData });
+    }
+
+    //Every sample a preset can play, with all the generators worked out
+    regions(presetIndex){
+        if(this.regionCache.has(presetIndex)) return this.regionCache.get(presetIndex);
+
+        const timecents = (value) => Math.pow(2, value / 1200);
+        const intersect = (a = [0, 127], b = [0, 127]) => [Math.max(a[0], b[0]), Math.min(a[1], b[1])];
+        const preset = this.presets[presetIndex];
+        const regions = [];
+        for(let presetZone of preset?.zones ?? []){
+            const pz = { ...preset.globalZone, ...presetZone };
+            const instrument = this.instruments[pz[41]];
+            if(!instrument) continue;
+            for(let instrumentZone of instrument.zones){
+                const iz = { ...instrument.globalZone, ...instrumentZone };
+                const sample = this.samples[iz[53]];
+                if(!sample) continue;
+                //Preset level generators add on to the instrument ones
+                const gen = (number, fallback = 0) => (iz[number] ?? fallback) + (pz[number] ?? 0);
+                const originalPitch = (sample.originalPitch <= 127)? sample.originalPitch : 60;
+
+                regions.push({
+                    sample,
+                    keyRange: intersect(pz[43], iz[43]),
+                    velRange: intersect(pz[44], iz[44]),
+                    start: sample.start + (iz[0] ?? 0) + (iz[4] ?? 0) * 32768,
+                    end: sample.end + (iz[1] ?? 0) + (iz[12] ?? 0) * 32768,
+                    loopStart: sample.loopStart + (iz[2] ?? 0) + (iz[45] ?? 0) * 32768,
+                    loopEnd: sample.loopEnd + (iz[3] ?? 0) + (iz[50] ?? 0) * 32768,
+                    loop: ((iz[54] ?? 0) & 1) === 1,
+                    rootKey: (iz[58] >= 0)? iz[58] : originalPitch,
+                    tune: gen(51) * 100 + gen(52) + sample.pitchCorrection, //cents
+                    gain: Math.pow(10, -Math.max(gen(48), 0) / 200),
+                    pan: Math.max(Math.min(gen(17) / 500, 1), -1),
+                    attack: timecents(gen(34, -12000)),
+                    decay: timecents(gen(36, -12000)),
+                    sustain: Math.pow(10, -Math.min(Math.max(gen(37), 0), 1440) / 200),
+                    release: timecents(gen(38, -12000))
+                });
+            }
+        }
+        this.regionCache.set(presetIndex, regions);
+        return regions;
+    }
+
+    regionsFor(presetIndex, note, velocity){
+        const velocity127 = Math.round(velocity * 127);
+        return this.regions(presetIndex).filter(({ keyRange, velRange }) =>
+            note >= keyRange[0] && note <= keyRange[1] && velocity127 >= velRange[0] && velocity127 <= velRange[1]);
+    }
+
+    bufferFor(region){
+        const key = region.start + ":" + region.end + ":" + region.sample.sampleRate;
+        if(!this.bufferCache.has(key)){
+            const start = Math.min(region.start, this.sampleData.length);
+            const end = Math.min(Math.max(region.end, start + 1), this.sampleData.length);
+            const audioBuffer = new AudioBuffer({ length: Math.max(end - start, 1), numberOfChannels: 1, sampleRate: region.sample.sampleRate });
+            const channel = audioBuffer.getChannelData(0);
+            for(let i = start; i < end; ++i){
+                channel[i - start] = this.sampleData[i] / 32768;
+            }
+            this.bufferCache.set(key, audioBuffer);
+        }
+        return this.bufferCache.get(key);
+    }
 }
 
+//How hard you hit the key to the velocity the game and the synth get. All of them take and give 1 to 127.
+const midiVelocityCurves = {
+    linear: (velocity) => velocity,
+    soft: (velocity) => 127 * Math.pow(velocity / 127, .6), //Light playing comes out louder
+    hard: (velocity) => 127 * Math.pow(velocity / 127, 1.6), //You have to dig in to get loud
+    fixed: () => 100
+};
+
 class MIDIInput extends EventTarget {
     constructor(audioPlayer) {
         super();
         this.audioPlayer = audioPlayer;
+        this.portId = ""; //The input we listen to. Empty is all of them.
+        this.channel = -1; //0 to 15, or -1 for every channel
+        this.velocityCurve = "linear";
+        this.bendRange = 2; //Semitones the pitch wheel goes each way
+        this.runningStatus = new Map(); //port id -> the last status byte it sent
+        this.heldNotes = new Set();
     }
 
     static getMIDINoteInfo(note) {
@@ -86,752 +576,4704 @@ class MIDIInput extends EventTarget {
         };
     }
 
+    //Splits raw bytes into messages. A message without a status byte reuses the last one (running status).
+    //SysEx, the system common messages and the one byte realtime ones (clock and such) get skipped.
+    static parseMessages(data, runningStatus = 0) {
+        const messages = [];
+        let i = 0;
+        while (i < data.length) {
+            let status = data[i];
+            if (status >= 0xF8) {
+                ++i;
+                continue;
+            }
+            if (status === 0xF0) {
+                while (i < data.length && data[i] !== 0xF7) ++i;
+                ++i;
+                continue;
+            }
+            if (status >= 0xF0) {
+                runningStatus = 0;
+                i += { 0xF1: 2, 0xF2: 3, 0xF3: 2 }[status] ?? 1;
+                continue;
+            }
+            if (status >= 0x80) {
+                runningStatus = status;
+                ++i;
+            } else if (runningStatus) {
+                status = runningStatus;
+            } else {
+                ++i; //Data with nothing to go with it
+                continue;
+            }
+            const type = status & 0xF0;
+            const length = (type === 0xC0 || type === 0xD0) ? 1 : 2;
+            if (i + length > data.length) break;
+            messages.push({ type, channel: status & 0x0F, data1: data[i], data2: (length > 1) ? data[i + 1] : 0 });
+            i += length;
+        }
+        return { messages, runningStatus };
+    }
+
     async init() {
         try {
             const midiAccess = await navigator.requestMIDIAccess();
+            this.midiAccess = midiAccess;
+            this.dispatchEvent(new CustomEvent('access', { detail: { midiAccess } }));
             const inputs = midiAccess.inputs.values();
             
             for (const input of inputs) {
                 input.onmidimessage = this.handleMIDIMessage.bind(this);
             }
-
-            const inputCount = Array.from(midiAccess.inputs).length;
-            document.getElementById('midiStatus').textContent = 
-                `MIDI connected: ${inputCount} input${inputCount !== 1 ? 's' : ''} available`;
+            this.showStatus();
             
             midiAccess.onstatechange = (e) => {
                 const input = e.port;
                 if (input.type === "input") {
                     if (input.state === "connected") {
                         input.onmidimessage = this.handleMIDIMessage.bind(this);
+                    } else if (input.id === this.portId) {
+                        this.releaseAll(); //Unplugged mid note
                     }
-                    const newInputCount = Array.from(midiAccess.inputs).length;
-                    document.getElementById('midiStatus').textContent = 
-                        `MIDI connected: ${newInputCount} input${newInputCount !== 1 ? 's' : ''} available`;
+                    this.showStatus();
+                    this.dispatchEvent(new CustomEvent('portschange', { detail: { inputs: this.inputs() } }));
                 }
             };
+            this.dispatchEvent(new CustomEvent('portschange', { detail: { inputs: this.inputs() } }));
         } catch (err) {
             document.getElementById('midiStatus').textContent = 
                 'Failed to connect MIDI: ' + err;
         }
     }
 
+    inputs() {
+        return [...(this.midiAccess?.inputs.values() ?? [])].filter((input) => input.state !== "disconnected");
+    }
+
+    showStatus() {
+        const inputs = this.inputs();
+        const picked = this.portId && inputs.find((input) => input.id === this.portId);
+        document.getElementById('midiStatus').textContent = picked ?
+            `MIDI connected: ${picked.name}` :
+            `MIDI connected: ${inputs.length} input${inputs.length !== 1 ? 's' : ''} available`;
+    }
+
+    //Only listen to one input ("" for all of them) and one channel (-1 for all of them)
+    setPort(portId) {
+        this.releaseAll();
+        this.portId = portId;
+        this.showStatus();
+    }
+
+    setChannel(channel) {
+        this.releaseAll();
+        this.channel = channel;
+    }
+
     handleMIDIMessage(message) {
-        const command = message.data[0];
-        const note = message.data[1];
-        const velocity = (message.data.length > 2) ? message.data[2] : 0;
-        const noteInfo = MIDIInput.getMIDINoteInfo(note);
+        const port = message.currentTarget ?? message.target;
+        if (this.portId && port?.id !== this.portId) return;
+        const { messages, runningStatus } = MIDIInput.parseMessages(message.data, this.runningStatus.get(port?.id));
+        this.runningStatus.set(port?.id, runningStatus);
+        messages.forEach((parsed) => this.handleMessage(parsed));
+    }
 
-        if ((command === 144) && (velocity > 0)) {
-            this.audioPlayer.playNote(note, velocity / 127);
+    handleMessage({ type, channel, data1, data2 }) {
+        if (this.channel >= 0 && channel !== this.channel) return;
+
+        if (type === 0x90 && data2 > 0) {
+            const curve = midiVelocityCurves[this.velocityCurve] ?? midiVelocityCurves.linear;
+            const velocity = Math.min(Math.max(Math.round(curve(data2)), 1), 127);
+            this.heldNotes.add(data1);
+            this.audioPlayer.playNote(data1, velocity / 127);
             this.dispatchEvent(new CustomEvent('noteon', { 
-                detail: { ...noteInfo, velocity }
-            }));
-        } else if ((command === 128) || ((command === 144) && (velocity === 0))) {
-            this.audioPlayer.stopNote(note);
-            this.dispatchEvent(new CustomEvent('noteoff', { 
-                detail: { ...noteInfo, velocity: 0 }
+                detail: { ...MIDIInput.getMIDINoteInfo(data1), velocity, rawVelocity: data2, channel }
             }));
+        } else if (type === 0x80 || type === 0x90) {
+            this.noteOff(data1, channel);
+        } else if (type === 0xB0 && data1 === 64) {
+            const down = data2 >= 64;
+            this.audioPlayer.setSustain(down);
+            this.dispatchEvent(new CustomEvent('sustain', { detail: { down, channel } }));
+        } else if (type === 0xB0 && (data1 === 120 || data1 === 123)) {
+            //All Sound Off, All Notes Off
+            this.releaseAll();
+        } else if (type === 0xB0) {
+            this.dispatchEvent(new CustomEvent('controlchange', { detail: { controller: data1, value: data2, channel } }));
+        } else if (type === 0xE0) {
+            //14 bits, 8192 is the middle
+            const bend = (((data2 << 7) | data1) - 8192) / 8192;
+            this.audioPlayer.setPitchBend(bend, this.bendRange);
+            this.dispatchEvent(new CustomEvent('pitchbend', { detail: { bend, semitones: bend * this.bendRange, channel } }));
         }
     }
-}
 
-class PianoKeyboard {
-    constructor(containerId, audioPlayer) {
-        this.container = document.getElementById(containerId);
-        this.audioPlayer = audioPlayer;
-        this.activeKeys = new Set();
-        this.setup();
+    noteOff(note, channel) {
+        this.heldNotes.delete(note);
+        this.audioPlayer.stopNote(note);
+        this.dispatchEvent(new CustomEvent('noteoff', { 
+            detail: { ...MIDIInput.getMIDINoteInfo(note), velocity: 0, channel }
+        }));
     }
 
-    createKey(keyData) {
-        const key = document.createElement('div');
-        key.className = `key${keyData.black ? ' black-key' : ''}`;
-        Object.assign(key.dataset, keyData);
-        key.setAttribute("draggable", true);
-        key.addEventListener('dragstart', function(event) {
-            event.dataTransfer.setData('text/plain', key.dataset.key + "\n");
-        });
-        key.addEventListener('dragend', (event)=>{
-            this.audioPlayer.stopAll();
-        });
-        key.textContent = key.dataset.key;
-        return key;
+    //Lets go of everything, the pedal and the pitch wheel too, so nothing gets stuck when you switch inputs
+    releaseAll() {
+        [...this.heldNotes].forEach((note) => this.noteOff(note));
+        this.audioPlayer.setSustain(false);
+        this.audioPlayer.setPitchBend(0);
+        this.dispatchEvent(new CustomEvent('sustain', { detail: { down: false } }));
     }
+}
 
-    setup() {
-        const piano = document.createElement('div');
-        piano.className = 'piano';
-
-        const octaveStructure = [
-            //Ocatve -1
-            { note: 48, black: false, key:"C" }, // C
-            { note: 49, black: true , key:"C#" }, // C#
-            { note: 50, black: false, key:"D" }, // D
-            { note: 51, black: true , key:"D#" }, // D#
-            { note: 52, black: false, key:"E" }, // E
-            { note: 53, black: false, key:"F" }, // F
-            { note: 54, black: true , key:"F#" }, // F#
-            { note: 55, black: false, key:"G" }, // G
-            { note: 56, black: true , key:"G#" }, // G#
-            { note: 57, black: false, key:"A" }, // A
-            { note: 58, black: true , key:"A#" }, // A#
-            { note: 59, black: false, key:"B" },  // B
-            //Ocatve 0
-            { note: 60, black: false, key: "C", key:"C" }, // C
-            { note: 61, black: true , key:"C#" }, // C#
-            { note: 62, black: false, key:"D" }, // D
-            { note: 63, black: true , key:"D#" }, // D#
-            { note: 64, black: false, key:"E" }, // E
-            { note: 65, black: false, key:"F" }, // F
-            { note: 66, black: true , key:"F#" }, // F#
-            { note: 67, black: false, key:"G" }, // G
-            { note: 68, black: true , key:"G#" }, // G#
-            { note: 69, black: false, key:"A" }, // A
-            { note: 70, black: true , key:"A#" }, // A#
-            { note: 71, black: false, key:"B" },  // B
-            //Ocatve + 1
-            { note: 72, black: false, key:"C" }, // C
-            { note: 73, black: true , key:"C#" }, // C#
-            { note: 74, black: false, key:"D" }, // D
-            { note: 75, black: true , key:"D#" }, // D#
-            { note: 76, black: false, key:"E" }, // E
-            { note: 77, black: false, key:"F" }, // F
-            { note: 78, black: true , key:"F#" }, // F#
-            { note: 79, black: false, key:"G" }, // G
-            { note: 80, black: true , key:"G#" }, // G#
-            { note: 81, black: false, key:"A" }, // A
-            { note: 82, black: true , key:"A#" }, // A#
-            { note: 83, black: false, key:"B" }  // B
-        ];
+//The channel for the voice at index, counting up from first and skipping channel 10, since that's drums. Same as a .mid gets.
+function midiVoiceChannel(index, first = 0) {
+    let channel = first;
+    for (let i = 0; i < index; ++i) {
+        do channel = (channel + 1) % 16; while (channel === 9);
+    }
+    return channel;
+}
 
-        octaveStructure.forEach((keyData) => {
-            const key = this.createKey(keyData);
-            piano.appendChild(key);
-        });
+//Sends notes out a MIDI port, to a hardware synth or a DAW. The AudioPlayer hands it everything it plays.
+//Notes from the PlaybackScheduler go out with timestamps, so they're as tight as the audio.
+//Each voice of the song gets its own channel from channel on, and what you play live goes out on channel itself.
+class MIDIOutputRouter {
+    constructor() {
+        this.port = undefined; //A MIDIOutput from MIDIAccess.outputs
+        this.channel = 0; //0 to 15
+        this.voices = [""]; //The song's voices in order, to hand out channels
+        this.synth = true; //Play the built in synth as well
+        this.held = new Set(); //Notes we turned on by hand that haven't been turned off yet
+        this.scheduled = []; //{ note, channel, startTime, endTime } on the performance.now() clock
+    }
 
-        this.container.appendChild(piano);
-        this.setupEventListeners();
+    active() {
+        return this.port !== undefined;
     }
 
-    setupEventListeners() {
-        // Mouse events only for visualization
-        this.container.addEventListener('mousedown', (e) => {
-            this.audioPlayer.stopAll();
+    setPort(port) {
+        this.panic();
+        this.port = port;
+    }
 
-            const key = e.target.closest('.key');
-            if (key) {
-                const activeKeys = this.container.querySelectorAll('.key.active');
-                activeKeys.forEach((thatKey) =>{
-                    if(thatKey != key)
-                        thatKey.classList.remove('active')
-                });
-                key.classList.add('active');
-                
-                const note = parseInt(key.dataset.note);
-                const noteInfo = MIDIInput.getMIDINoteInfo(note);
-                this.audioPlayer.playNote(note);
-            }
-        });
+    setChannel(channel) {
+        this.releaseAll();
+        this.channel = channel;
+    }
 
-        document.addEventListener('mouseup', () => {
-            const activeKeys = this.container.querySelectorAll('.key.active');
-            activeKeys.forEach(key => key.classList.remove('active'));
+    setVoices(voices) {
+        this.voices = voices;
+    }
 
-            this.audioPlayer.stopAll();
-        });
+    channelFor(voice = "") {
+        return midiVoiceChannel(Math.max(this.voices.indexOf(voice), 0), this.channel);
     }
 
-    setNoteActive(note, active) {
-        const key = this.container.querySelector(`[data-note="${note}"]`);
-        if (key) {
-            if (active) {
-                key.classList.add('active');
-            } else {
-                key.classList.remove('active');
-            }
+    send(data, timestamp) {
+        if (!this.port) return;
+        try {
+            this.port.send(data, timestamp);
+        } catch (e) {
+            console.warn(e); //Usually the port went away
         }
     }
-}
 
-class AccessibilityMIDIKeyboard {
-    constructor(){
-        this.heldNotes = {}
+    static velocity(velocity) {
+        return Math.min(Math.max(Math.round(velocity * 127), 1), 127);
     }
-    init(midiInput, callback, timeout = .5){
-        // Set up event listeners
-        midiInput.addEventListener('noteon', (e) => {
-            const { note, noteName, fullNoteName, velocity } = e.detail;
-            this.heldNotes[note] = (setTimeout(()=>{
-                callback(e.detail);
-            }, timeout * 1000.0));
-        });
 
-        midiInput.addEventListener('noteoff', (e) => {
-            const { note, noteName, fullNoteName } = e.detail;
-            clearTimeout(this.heldNotes[note])
-        });
+    noteOn(note, velocity = 1.0) {
+        if (!this.port) return;
+        this.held.add(note);
+        this.send([0x90 | this.channel, note, MIDIOutputRouter.velocity(velocity)]);
     }
-}
 
-function preprocessMusicScript(input) {
-    // Remove comments
-    let lines = input.split('\n').map(line => {
-        const commentIndex = line.indexOf('//');
-        return commentIndex >= 0 ? line.substring(0, commentIndex).trim() : line.trim();
-    }).filter(line => line !== '');
+    noteOff(note) {
+        if (!this.held.delete(note)) return;
+        this.send([0x80 | this.channel, note, 0]);
+    }
 
-    // Process labels and repeats
-    let expandedLines = [];
-    let labels = {};
-    
-    // First pass: collect labels
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        if (line.endsWith(':')) {
-            labels[line.slice(0, -1)] = i;
-        }
+    releaseAll() {
+        [...this.held].forEach((note) => this.noteOff(note));
     }
 
-    // Second pass: process lines and handle repeats
-    let i = 0;
-    while (i < lines.length) {
-        const line = lines[i];
-        
-        if (line.startsWith('repeat')) {
-            const parts = line.split(' ');
-            if (parts.length < 2) {
-                i++;
-                continue;
-            }
+    controlChange(controller, value) {
+        this.send([0xB0 | this.channel, controller, value]);
+    }
 
-            let labelName, repeatCount;
-            if (parts.length === 2) {
-                // repeat label
-                labelName = parts[1];
-                repeatCount = 1;
+    //-1 to 1
+    pitchBend(bend) {
+        const value = Math.min(Math.max(Math.round((bend + 1) * 8192), 0), 16383);
+        this.send([0xE0 | this.channel, value & 0x7F, value >> 7]);
+    }
+
+    scheduleNote(note, velocity, startTime, endTime, voice) {
+        if (!this.port) return;
+        const now = performance.now();
+        const channel = this.channelFor(voice);
+        this.scheduled = this.scheduled.filter((scheduled) => scheduled.endTime > now);
+        this.scheduled.push({ note, channel, startTime, endTime });
+        this.send([0x90 | channel, note, MIDIOutputRouter.velocity(velocity)], startTime);
+        this.send([0x80 | channel, note, 0], endTime);
+    }
+
+    //Drops whatever's queued. Not every browser can clear a port, so anything that might still start gets a note off after it too.
+    cancelScheduled() {
+        this.port?.clear?.();
+        const now = performance.now();
+        for (let { note, channel, startTime, endTime } of this.scheduled) {
+            if (endTime <= now) continue;
+            this.send([0x80 | channel, note, 0]);
+            if (startTime > now) this.send([0x80 | channel, note, 0], startTime + 1);
+        }
+        this.scheduled = [];
+    }
+
+    //All Notes Off, Sustain off and the pitch wheel back in the middle on every channel, for stuck notes
+    panic() {
+        this.cancelScheduled();
+        this.held.clear();
+        for (let channel = 0; channel < 16; ++channel) {
+            this.send([0xB0 | channel, 64, 0]);
+            this.send([0xB0 | channel, 123, 0]);
+            this.send([0xE0 | channel, 0, 64]);
+        }
+    }
+}
+
+//key code, semitones up from Z, what it says on the key
+const qwertyInputLayout = [
+    ["KeyZ", 0, "Z"], ["KeyS", 1, "S"], ["KeyX", 2, "X"], ["KeyD", 3, "D"], ["KeyC", 4, "C"], ["KeyV", 5, "V"], ["KeyG", 6, "G"],
+    ["KeyB", 7, "B"], ["KeyH", 8, "H"], ["KeyN", 9, "N"], ["KeyJ", 10, "J"], ["KeyM", 11, "M"],
+    ["Comma", 12, ","], ["KeyL", 13, "L"], ["Period", 14, "."], ["Semicolon", 15, ";"], ["Slash", 16, "/"],
+    ["KeyQ", 12, "Q"], ["Digit2", 13, "2"], ["KeyW", 14, "W"], ["Digit3", 15, "3"], ["KeyE", 16, "E"], ["KeyR", 17, "R"], ["Digit5", 18, "5"],
+    ["KeyT", 19, "T"], ["Digit6", 20, "6"], ["KeyY", 21, "Y"], ["Digit7", 22, "7"], ["KeyU", 23, "U"],
+    ["KeyI", 24, "I"], ["Digit9", 25, "9"], ["KeyO", 26, "O"], ["Digit0", 27, "0"], ["KeyP", 28, "P"],
+    ["BracketLeft", 29, "["], ["Equal", 30, "="], ["BracketRight", 31, "]"]
+];
+
+//Play with the computer keyboard, like a tracker: the bottom row (Z S X D C V…) is one octave, the top row (Q 2 W 3 E…) the one above it.
+//Left and right arrows move both rows an octave. Sends the same noteon/noteoff events as MIDIInput.
+class QwertyInput extends EventTarget {
+    constructor(audioPlayer) {
+        super();
+        this.audioPlayer = audioPlayer;
+        this.enabled = true;
+        this.baseNote = 48; //Where Z is. C3 puts both rows on the piano.
+        this.velocity = 100;
+        this.held = new Map(); //key code -> the note it started, so an octave change doesn't strand it
+        this.offsets = new Map(qwertyInputLayout.map(([code, offset]) => [code, offset]));
+
+        document.addEventListener('keydown', (e) => this.keyDown(e));
+        document.addEventListener('keyup', (e) => this.keyUp(e));
+        window.addEventListener('blur', () => this.releaseAll());
+    }
+
+    //Typing in the editor, or any other box, isn't playing
+    ignores(e) {
+        return !this.enabled || e.ctrlKey || e.metaKey || e.altKey ||
+            e.target?.closest?.('input, textarea, select, [contenteditable], .ace_editor');
+    }
+
+    keyDown(e) {
+        if (this.ignores(e)) return;
+        if (e.code === "ArrowLeft" || e.code === "ArrowRight") {
+            e.preventDefault();
+            this.setBaseNote(this.baseNote + ((e.code === "ArrowLeft") ? -12 : 12));
+            return;
+        }
+        if (!this.offsets.has(e.code)) return;
+        e.preventDefault();
+        if (e.repeat || this.held.has(e.code)) return;
+        const note = this.baseNote + this.offsets.get(e.code);
+        if (note > 127) return;
+        this.held.set(e.code, note);
+        this.audioPlayer.playNote(note, this.velocity / 127);
+        this.dispatchEvent(new CustomEvent('noteon', {
+            detail: { ...MIDIInput.getMIDINoteInfo(note), velocity: this.velocity }
+        }));
+    }
+
+    keyUp(e) {
+        if (!this.held.has(e.code)) return;
+        this.release(e.code);
+    }
+
+    release(code) {
+        const note = this.held.get(code);
+        this.held.delete(code);
+        this.audioPlayer.stopNote(note);
+        this.dispatchEvent(new CustomEvent('noteoff', {
+            detail: { ...MIDIInput.getMIDINoteInfo(note), velocity: 0 }
+        }));
+    }
+
+    releaseAll() {
+        [...this.held.keys()].forEach((code) => this.release(code));
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.releaseAll();
+        this.dispatchEvent(new CustomEvent('octavechange', { detail: { baseNote: this.baseNote } }));
+    }
+
+    setBaseNote(baseNote) {
+        this.baseNote = Math.min(Math.max(baseNote, 0), 108);
+        this.dispatchEvent(new CustomEvent('octavechange', { detail: { baseNote: this.baseNote } }));
+    }
+
+    //note -> the key that plays it, for labelling the piano. Where the rows overlap the top row wins.
+    hints() {
+        if (!this.enabled) return new Map();
+        return new Map(qwertyInputLayout.map(([, offset, label]) => [this.baseNote + offset, label]));
+    }
+}
+
+//Records what you play on any of the inputs, then writes it out as script lines snapped to a grid.
+//Times come off the audio clock, the same one the metronome clicks on.
+class PerformanceRecorder extends EventTarget {
+    constructor(audioPlayer, inputs) {
+        super();
+        this.audioPlayer = audioPlayer;
+        this.recording = false;
+        this.notes = []; //{ noteValue, velocity, start, end } in audio time
+        this.open = new Map(); //note -> the recorded note still being held
+        inputs.forEach((input) => {
+            input.addEventListener('noteon', (e) => this.noteOn(e.detail));
+            input.addEventListener('noteoff', (e) => this.noteOff(e.detail));
+        });
+    }
+
+    //countInBeats of clicks first. With no count in, the song starts on the first note you play.
+    start({ bpm = 120, countInBeats = 0, metronome = false } = {}) {
+        this.audioPlayer.resume();
+        this.bpm = bpm;
+        this.notes = [];
+        this.open.clear();
+        this.metronome = metronome;
+        this.startTime = this.audioPlayer.now() + .1 + countInBeats * 60 / bpm;
+        this.fromFirstNote = countInBeats === 0;
+        this.nextClick = this.startTime - countInBeats * 60 / bpm;
+        this.recording = true;
+        this.timer = setInterval(() => this.scheduleClicks(), 50);
+        this.scheduleClicks();
+        this.dispatchEvent(new CustomEvent('statechange', { detail: { recording: true } }));
+    }
+
+    scheduleClicks() {
+        const beat = 60 / this.bpm;
+        while (this.nextClick < this.audioPlayer.now() + .2) {
+            const beatIndex = Math.round((this.nextClick - this.startTime) / beat);
+            if (beatIndex >= 0 && !this.metronome) {
+                clearInterval(this.timer);
+                return;
+            }
+            this.audioPlayer.click(this.nextClick, beatIndex % 4 === 0);
+            this.nextClick += beat;
+        }
+    }
+
+    noteOn({ note, velocity, rawVelocity }) {
+        if (!this.recording) return;
+        this.noteOff({ note });
+        //Only MIDI keyboards know how hard you played. The rest would all come out fff.
+        const recorded = { noteValue: note, velocity: (rawVelocity !== undefined) ? velocity / 127 : undefined, start: this.audioPlayer.now(), end: undefined };
+        this.notes.push(recorded);
+        this.open.set(note, recorded);
+    }
+
+    noteOff({ note }) {
+        const recorded = this.open.get(note);
+        if (!recorded) return;
+        recorded.end = this.audioPlayer.now();
+        this.open.delete(note);
+    }
+
+    //Returns the script for what you played, snapped to grid (in song time, like a step).
+    //state is what the script is on where it goes (see scriptStateAt), so it only says what changes.
+    stop(grid = 1/8, state = {}) {
+        if (!this.recording) return "";
+        this.recording = false;
+        clearInterval(this.timer);
+        [...this.open.keys()].forEach((note) => this.noteOff({ note }));
+        this.dispatchEvent(new CustomEvent('statechange', { detail: { recording: false } }));
+        return this.toScript(grid, state);
+    }
+
+    toScript(grid = 1/8, { octave, step, dynamic, dynamics, accidentals, transpose } = {}) {
+        if (this.notes.length === 0) return "";
+        const origin = this.fromFirstNote ? Math.min(...this.notes.map(({ start }) => start)) : this.startTime;
+        const toSongTime = (time) => (time - origin) * this.bpm / 120; //One unit of song time is two beats
+        const snap = (time) => Math.max(Math.round(toSongTime(time) / grid) * grid, 0);
+        const notes = this.notes.map(({ noteValue, velocity, start, end }) => {
+            const startTime = snap(start);
+            return { noteValue, velocity, startTime, endTime: Math.max(snap(end), startTime + grid) };
+        });
+        //Dynamics only go into scripts that already have them, or the rest of the song would drop to mf
+        const useDynamics = (dynamics ?? true) && usesScriptDynamics(notes);
+        return voiceToMusicScript(notes, { dynamics: useDynamics, octave, step, dynamic, accidentals, transpose }).join("\n");
+    }
+}
+
+class PianoKeyboard extends EventTarget {
+    constructor(containerId, audioPlayer, { low = 21, high = 108 } = {}) {
+        super();
+        this.container = document.getElementById(containerId);
+        this.audioPlayer = audioPlayer;
+        this.activeKeys = new Set();
+        this.keyHints = new Map();
+        this.setRange(low, high);
+        this.setupEventListeners();
+    }
+
+    //Any stretch of the 88 keys, A0 (21) to C8 (108)
+    setRange(low, high) {
+        this.low = Math.max(Math.min(low, high), 21);
+        this.high = Math.min(Math.max(low, high), 108);
+        this.setup();
+    }
+
+    createKey(keyData) {
+        const key = document.createElement('div');
+        key.className = `key${keyData.black ? ' black-key' : ''}`;
+        Object.assign(key.dataset, keyData);
+        key.setAttribute("draggable", true);
+        key.addEventListener('dragstart', function(event) {
+            event.dataTransfer.setData('text/plain', key.dataset.key + "\n");
+        });
+        key.addEventListener('dragend', (event)=>{
+            this.audioPlayer.stopAll();
+        });
+        key.textContent = key.dataset.key;
+        return key;
+    }
+
+    setup() {
+        this.container.querySelector('.piano')?.remove();
+        const piano = document.createElement('div');
+        piano.className = 'piano';
+
+        //Labelled like the script writes them, so dragging one into the editor gets the octave too
+        for (let note = this.low; note <= this.high; ++note) {
+            const { noteName, fullNoteName } = MIDIInput.getMIDINoteInfo(note);
+            piano.appendChild(this.createKey({ note, black: noteName.includes('#'), key: fullNoteName }));
+        }
+
+        this.container.appendChild(piano);
+        this.piano = piano;
+        this.setKeyHints(this.keyHints);
+    }
+
+    keyFor(note) {
+        return this.container.querySelector(`[data-note="${note}"]`);
+    }
+
+    //Scrolls the keys from low to high into the middle of the piano
+    scrollToNotes(low, high) {
+        const lowKey = this.keyFor(Math.min(Math.max(low, this.low), this.high));
+        const highKey = this.keyFor(Math.max(Math.min(high, this.high), this.low));
+        if (!this.piano || !lowKey || !highKey) return;
+        const pianoRect = this.piano.getBoundingClientRect();
+        const lowRect = lowKey.getBoundingClientRect();
+        const highRect = highKey.getBoundingClientRect();
+        const middle = (Math.min(lowRect.top, highRect.top) + Math.max(lowRect.bottom, highRect.bottom)) / 2;
+        this.piano.scrollBy({ top: middle - (pianoRect.top + pianoRect.height / 2), behavior: 'smooth' });
+    }
+
+    //The notes you're about to have to play
+    setUpcoming(notes) {
+        this.container.querySelectorAll('.key').forEach((key) => {
+            key.classList.toggle('upcoming', notes.has(parseInt(key.dataset.note)));
+        });
+    }
+
+    setupEventListeners() {
+        // Mouse events only for visualization
+        this.container.addEventListener('mousedown', (e) => {
+            this.audioPlayer.stopAll();
+
+            const key = e.target.closest('.key');
+            if (key) {
+                const activeKeys = this.container.querySelectorAll('.key.active');
+                activeKeys.forEach((thatKey) =>{
+                    if(thatKey != key)
+                        thatKey.classList.remove('active')
+                });
+                key.classList.add('active');
+                
+                const note = parseInt(key.dataset.note);
+                const noteInfo = MIDIInput.getMIDINoteInfo(note);
+                this.audioPlayer.playNote(note);
+                this.mouseNote = note;
+                this.dispatchEvent(new CustomEvent('noteon', {
+                    detail: { ...noteInfo, velocity: 127 }
+                }));
+            }
+        });
+
+        document.addEventListener('mouseup', () => {
+            const activeKeys = this.container.querySelectorAll('.key.active');
+            activeKeys.forEach(key => key.classList.remove('active'));
+
+            this.audioPlayer.stopAll();
+            if (this.mouseNote !== undefined) {
+                this.dispatchEvent(new CustomEvent('noteoff', {
+                    detail: { ...MIDIInput.getMIDINoteInfo(this.mouseNote), velocity: 0 }
+                }));
+                this.mouseNote = undefined;
+            }
+        });
+    }
+
+    //Labels the keys with what plays them, like the computer keyboard's letters. A Map of note -> label.
+    setKeyHints(hints) {
+        this.keyHints = hints;
+        this.container.querySelectorAll('.key').forEach((key) => {
+            const hint = hints.get(parseInt(key.dataset.note));
+            if (hint === undefined) {
+                delete key.dataset.hint;
+            } else {
+                key.dataset.hint = hint;
+            }
+        });
+    }
+
+    //Shows the sustain pedal is down
+    setSustain(down) {
+        this.container.classList.toggle('sustain', down);
+    }
+
+    setNoteActive(note, active) {
+        const key = this.keyFor(note);
+        if (key) {
+            if (active) {
+                key.classList.add('active');
             } else {
-                // repeat label N
-                labelName = parts[1];
-                repeatCount = parseInt(parts[2]) || 1;
+                key.classList.remove('active');
+            }
+        }
+    }
+}
+
+class AccessibilityMIDIKeyboard {
+    constructor(){
+        this.heldNotes = {}
+    }
+    init(midiInput, callback, timeout = .5){
+        // Set up event listeners
+        midiInput.addEventListener('noteon', (e) => {
+            const { note, noteName, fullNoteName, velocity } = e.detail;
+            this.heldNotes[note] = (setTimeout(()=>{
+                callback(e.detail);
+            }, timeout * 1000.0));
+        });
+
+        midiInput.addEventListener('noteoff', (e) => {
+            const { note, noteName, fullNoteName } = e.detail;
+            clearTimeout(this.heldNotes[note])
+        });
+    }
+}
+
+//Step entry, for when playing in time isn't happening. Keys you hold together go in as one chord line when you let go of all of them.
+//Keys below the split are pads: C D E F G set the length (1, 1/2, 1/4, 1/8, 1/16), A is a rest and B takes back the last entry.
+//Or the length comes from how long you held the keys. step and octave lines go in whenever they need to.
+const stepEntryPads = { 0: 1, 2: 1/2, 4: 1/4, 5: 1/8, 7: 1/16, 9: "rest", 11: "undo" };
+
+class StepEntryKeyboard extends AccessibilityMIDIKeyboard {
+    constructor(editor){
+        super();
+        this.editor = editor;
+        this.enabled = false;
+        this.suspended = false; //While the recorder has the keys
+        this.split = 48; //C3. Everything under it is a pad.
+        this.lengthFrom = "pads"; //or "hold"
+        this.padLength = 1/4;
+        this.bpm = 120;
+        this.held = new Set();
+        this.chord = [];
+        this.pressedAt = 0;
+        this.entries = []; //{ start, end } anchors around what we inserted, newest last
+        this.announcer = document.getElementById("announcer");
+    }
+
+    //The hold-to-insert callback only runs when step entry is off
+    init(midiInput, callback, timeout = .5){
+        super.init(midiInput, (detail) => {
+            if(!this.enabled) callback(detail);
+        }, timeout);
+        midiInput.addEventListener('noteon', (e) => {
+            if(this.enabled && !this.suspended) this.noteOn(e.detail.note);
+        });
+        midiInput.addEventListener('noteoff', (e) => {
+            if(this.enabled && !this.suspended) this.noteOff(e.detail.note);
+        });
+    }
+
+    setEnabled(enabled){
+        this.enabled = enabled;
+        this.held.clear();
+        this.chord = [];
+        this.announce(enabled? "Step entry on" : "Step entry off");
+    }
+
+    noteOn(note){
+        if(note < this.split){
+            const pad = stepEntryPads[note % 12];
+            if(typeof pad === "number" && this.lengthFrom === "pads"){
+                this.padLength = pad;
+                this.announce("Length " + formatScriptDuration(pad));
+            }else if(pad === "undo"){
+                this.undo();
+            }else if(pad === "rest"){
+                this.pressedAt = performance.now();
+            }
+            return;
+        }
+        if(this.held.size === 0) this.pressedAt = performance.now();
+        this.held.add(note);
+        if(!this.chord.includes(note)) this.chord.push(note);
+    }
+
+    noteOff(note){
+        if(note < this.split){
+            if(stepEntryPads[note % 12] === "rest") this.insert([], this.length());
+            return;
+        }
+        if(!this.held.delete(note) || this.held.size > 0) return;
+        const chord = this.chord;
+        this.chord = [];
+        this.insert(chord, this.length());
+    }
+
+    //Snaps how long you held on to the closest of the pad lengths
+    length(){
+        if(this.lengthFrom !== "hold") return this.padLength;
+        const held = (performance.now() - this.pressedAt) / 1000 * this.bpm / 120;
+        const lengths = Object.values(stepEntryPads).filter((pad) => typeof pad === "number");
+        return lengths.reduce((a, b) => (Math.abs(Math.log2(b / Math.max(held, 1e-3))) < Math.abs(Math.log2(a / Math.max(held, 1e-3))))? b : a);
+    }
+
+    //A chord (or a rest, with no notes) as its own line at the cursor, in one edit
+    insert(notes, length){
+        const editor = this.editor;
+        const session = editor.session;
+        const doc = session.getDocument();
+        const cursor = editor.getCursorPosition();
+        const script = session.getValue();
+        const index = doc.positionToIndex(cursor);
+        const state = scriptStateAt(script, index);
+        const { octave, step } = state;
+        const lines = [];
+        if(Math.abs(step - length) > 1e-6) lines.push("step " + formatScriptDuration(length));
+
+        let spoken;
+        if(notes.length === 0){
+            lines.push("rest");
+            spoken = "Rest";
+        }else{
+            const sorted = [...notes].sort((a, b) => b - a);
+            //Spelled for the key and transpose there, so they sound like what you pressed
+            const spelled = sorted.map((note) => spellScriptNote(note, state));
+            const lineOctave = spelled[0].octave;
+            if(lineOctave !== octave) lines.push("octave " + lineOctave);
+            lines.push(spelled.map(({ name, octave }) => name + ((octave !== lineOctave)? octave : "")).join(" "));
+            spoken = sorted.map((note) => MIDIInput.getMIDINoteInfo(note).fullNoteName).join(" ");
+        }
+
+        const before = (cursor.column > 0)? "\n" : "";
+        const body = before + lines.join("\n") + "\n";
+        //Whatever comes next still expects the octave and step it had. The cursor stays in front of that, so the next entry carries on from this one.
+        let restore = "";
+        if(script.slice(index).trim() !== ""){
+            const changed = scriptStateAt(script.slice(0, index) + body + script.slice(index), index + body.length);
+            restore = scriptStateLines(state, changed, script.slice(index)).map((line) => line + "\n").join("");
+        }
+        const end = session.insert(cursor, body + restore);
+        editor.moveCursorToPosition(doc.indexToPosition(index + body.length));
+        this.entries.push({ start: doc.createAnchor(cursor.row, cursor.column), end: doc.createAnchor(end.row, end.column), text: body + restore, spoken });
+        this.announce(spoken + ", " + formatScriptDuration(length));
+    }
+
+    //Takes out the last thing step entry put in, if it's still there like we left it
+    undo(){
+        const entry = this.entries.pop();
+        if(!entry) return this.announce("Nothing to undo");
+        const Range = ace.require("ace/range").Range;
+        const range = Range.fromPoints(entry.start.getPosition(), entry.end.getPosition());
+        const session = this.editor.session;
+        if(session.getTextRange(range) === entry.text){
+            session.remove(range);
+            this.announce("Took out " + entry.spoken);
+        }else{
+            this.announce("That got edited, so it stays");
+        }
+        entry.start.detach();
+        entry.end.detach();
+    }
+
+    //For screen readers. The space flips so saying the same thing twice still gets read out.
+    announce(text){
+        if(!this.announcer) return;
+        this.announcer.textContent = (this.announcer.textContent === text)? text + " " : text;
+    }
+}
+
+//Standard MIDI Files (.mid). Only the parts we care about: tempo, track names and notes.
+class MIDIFile {
+    constructor({ format, division, tracks, tempos }){
+        this.format = format;
+        this.division = division; //Ticks per beat, or { ticksPerSecond } for SMPTE files
+        this.tracks = tracks; //[{ name, channel, notes: [{ noteValue, velocity, startTick, endTick }] }]
+        this.tempos = tempos; //[{ tick, microsecondsPerBeat }], sorted
+    }
+
+    static parse(buffer){
+        const data = new DataView(buffer);
+        let pos = 0;
+
+        const readString = (length) => {
+            let str = "";
+            for(let i = 0; i < length; ++i) str += String.fromCharCode(data.getUint8(pos++));
+            return str;
+        };
+        const readVarLen = () => {
+            let value = 0;
+            let byte;
+            do {
+                byte = data.getUint8(pos++);
+                value = (value << 7) | (byte & 0x7F);
+            } while(byte & 0x80);
+            return value;
+        };
+
+        if(readString(4) !== "MThd") throw "Not a MIDI file";
+        const headerLength = data.getUint32(pos); pos += 4;
+        const format = data.getUint16(pos);
+        const trackCount = data.getUint16(pos + 2);
+        const rawDivision = data.getUint16(pos + 4);
+        pos += headerLength;
+
+        let division = rawDivision;
+        if(rawDivision & 0x8000){
+            const framesPerSecond = -((rawDivision >> 8) << 24 >> 24); //The high byte is a negative number
+            division = { ticksPerSecond: framesPerSecond * (rawDivision & 0xFF) };
+        }
+
+        const tracks = [];
+        const tempos = [];
+        for(let trackIndex = 0; trackIndex < trackCount && pos + 8 <= data.byteLength; ){
+            const chunkType = readString(4);
+            const chunkLength = data.getUint32(pos); pos += 4;
+            const chunkEnd = pos + chunkLength;
+            if(chunkType !== "MTrk"){
+                pos = chunkEnd; //Some programs put their own chunks in there
+                continue;
+            }
+
+            let tick = 0;
+            let runningStatus = 0;
+            let name = undefined;
+            const openNotes = {}; //"channel:note" -> [note, ...]
+            const channels = {}; //channel -> notes
+
+            const noteOff = (channel, noteValue) => {
+                const open = openNotes[channel + ":" + noteValue];
+                const note = open?.shift();
+                if(note) note.endTick = tick;
+            };
+
+            while(pos < chunkEnd){
+                tick += readVarLen();
+                let status = data.getUint8(pos);
+                if(status & 0x80){
+                    ++pos;
+                }else{
+                    status = runningStatus; //Running status, the data byte is already next
+                }
+
+                if(status === 0xFF){
+                    const type = data.getUint8(pos++);
+                    const length = readVarLen();
+                    if(type === 0x03 && name === undefined){
+                        name = readString(length);
+                        continue;
+                    }else if(type === 0x51 && length === 3){
+                        tempos.push({ tick, microsecondsPerBeat: (data.getUint8(pos) << 16) | (data.getUint8(pos + 1) << 8) | data.getUint8(pos + 2) });
+                    }else if(type === 0x2F){
+                        pos = chunkEnd;
+                        break;
+                    }
+                    pos += length;
+                }else if(status === 0xF0 || status === 0xF7){
+                    pos += readVarLen();
+                }else{
+                    runningStatus = status;
+                    const command = status & 0xF0;
+                    const channel = status & 0x0F;
+                    if(command === 0x90 || command === 0x80){
+                        const noteValue = data.getUint8(pos);
+                        const velocity = data.getUint8(pos + 1);
+                        pos += 2;
+                        noteOff(channel, noteValue);
+                        if(command === 0x90 && velocity > 0){
+                            const note = { noteValue, velocity, startTick: tick, endTick: undefined };
+                            (channels[channel] ??= []).push(note);
+                            (openNotes[channel + ":" + noteValue] ??= []).push(note);
+                        }
+                    }else if(command === 0xC0 || command === 0xD0){
+                        pos += 1;
+                    }else{
+                        pos += 2;
+                    }
+                }
+            }
+            pos = chunkEnd;
+
+            //Anything still held down gets let go at the end of the track
+            for(let open of Object.values(openNotes)){
+                for(let note of open) note.endTick = tick;
+            }
+            const channelNumbers = Object.keys(channels);
+            for(let channel of channelNumbers){
+                tracks.push({
+                    name: (name ?? "Track " + (trackIndex + 1)) + ((channelNumbers.length > 1)? " (channel " + (parseInt(channel) + 1) + ")" : ""),
+                    channel: parseInt(channel),
+                    notes: channels[channel]
+                });
+            }
+            ++trackIndex;
+        }
+
+        tempos.sort((a, b) => a.tick - b.tick);
+        return new MIDIFile({ format, division, tracks, tempos });
+    }
+
+    //The tempo at the start of the song. MIDI files are 120 if they don't say.
+    get bpm(){
+        const microsecondsPerBeat = (this.tempos[0]?.tick === 0)? this.tempos[0].microsecondsPerBeat : 500000;
+        return 60000000 / microsecondsPerBeat;
+    }
+
+    ticksToSeconds(tick){
+        if(this.division.ticksPerSecond){
+            return tick / this.division.ticksPerSecond;
+        }
+        let seconds = 0;
+        let lastTick = 0;
+        let microsecondsPerBeat = 500000;
+        for(let tempo of this.tempos){
+            if(tempo.tick >= tick) break;
+            seconds += (tempo.tick - lastTick) * microsecondsPerBeat / (this.division * 1000000);
+            lastTick = tempo.tick;
+            microsecondsPerBeat = tempo.microsecondsPerBeat;
+        }
+        return seconds + (tick - lastTick) * microsecondsPerBeat / (this.division * 1000000);
+    }
+
+    //The other way. Each voice gets its own track and channel, and there's a track 0 with the tempo.
+    static fromNotes(notes, { bpm = 120, name = "KeyboardWarrior" } = {}){
+        const division = 480;
+        const toTicks = (time) => Math.max(Math.round(time * 2 * division), 0); //One unit of song time is two beats
+        const voices = new Map();
+        for(let note of notes){
+            const voice = note.voice ?? "";
+            if(!voices.has(voice)) voices.set(voice, []);
+            voices.get(voice).push(note);
+        }
+
+        const tracks = [...voices.entries()].map(([voice, voiceNotes], i) => ({
+            name: voice || name,
+            channel: midiVoiceChannel(i),
+            notes: voiceNotes.map((note) => ({
+                noteValue: note.noteValue,
+                velocity: Math.min(Math.max(Math.round((note.velocity ?? 1.0) * 127), 1), 127),
+                startTick: toTicks(note.startTime),
+                endTick: toTicks(note.endTime)
+            }))
+        }));
+        return new MIDIFile({ format: 1, division, tracks, tempos: [{ tick: 0, microsecondsPerBeat: Math.round(60000000 / bpm) }] });
+    }
+
+    //Writes a type 1 .mid
+    toArrayBuffer(){
+        //Pieces of the file, put together at the end. Spreading a big track into one array runs out of stack.
+        const chunks = [];
+        const writeString = (str) => chunks.push(Array.from(str, (c) => c.charCodeAt(0) & 0xFF));
+        const write32 = (value) => chunks.push([(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF]);
+        const write16 = (value) => chunks.push([(value >>> 8) & 0xFF, value & 0xFF]);
+        const varLen = (value) => {
+            const out = [value & 0x7F];
+            while((value >>>= 7) > 0) out.unshift((value & 0x7F) | 0x80);
+            return out;
+        };
+        const writeTrack = (events) => {
+            //events are { tick, data }, and get written in order
+            let lastTick = 0;
+            const trackBytes = [];
+            for(let { tick, data } of events){
+                for(let byte of [...varLen(tick - lastTick), ...data]) trackBytes.push(byte);
+                lastTick = tick;
             }
+            trackBytes.push(0, 0xFF, 0x2F, 0); //End of track
+            writeString("MTrk");
+            write32(trackBytes.length);
+            chunks.push(trackBytes);
+        };
+        const textEvent = (type, text) => [0xFF, type, ...varLen(text.length), ...Array.from(text, (c) => c.charCodeAt(0) & 0xFF)];
+
+        writeString("MThd");
+        write32(6);
+        write16(1);
+        write16(this.tracks.length + 1);
+        write16(this.division);
+
+        writeTrack(this.tempos.map(({ tick, microsecondsPerBeat }) => ({
+            tick,
+            data: [0xFF, 0x51, 3, (microsecondsPerBeat >> 16) & 0xFF, (microsecondsPerBeat >> 8) & 0xFF, microsecondsPerBeat & 0xFF]
+        })));
+
+        for(let track of this.tracks){
+            const channel = track.channel ?? 0;
+            const events = [];
+            for(let note of track.notes){
+                events.push({ tick: note.startTick, off: false, data: [0x90 | channel, note.noteValue, note.velocity] });
+                events.push({ tick: note.endTick, off: true, data: [0x80 | channel, note.noteValue, 0] });
+            }
+            //Note offs go first, so a repeated note doesn't get cut off by its own off
+            events.sort((a, b) => a.tick - b.tick || b.off - a.off);
+            writeTrack([{ tick: 0, data: textEvent(0x03, track.name) }, ...events]);
+        }
+
+        const file = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+        let offset = 0;
+        for(let chunk of chunks){
+            file.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return file.buffer;
+    }
+
+    //Notes from one track, timed the way parseMusicScript does it, at this.bpm
+    toNotes(trackIndex){
+        const track = this.tracks[trackIndex];
+        if(!track) return [];
+        const unitsPerSecond = this.bpm / 120.0;
+        return track.notes.map(({ noteValue, velocity, startTick, endTick }) => ({
+            noteValue,
+            noteLetter: MIDIInput.getMIDINoteInfo(noteValue).noteName,
+            velocity: velocity / 127,
+            startTime: this.ticksToSeconds(startTick) * unitsPerSecond,
+            endTime: this.ticksToSeconds(endTick) * unitsPerSecond
+        }));
+    }
+}
+
+//Turns the script into the lines that actually get played, with comments, blocks, phrases and jumps taken care of.
+//Each line is { text, row, column, transpose } so problems and playback can point back at the editor.
+//Lines with save or restore on them don't play anything. They mark where the octave, step and so on should be remembered and put back,
+//so every time around a repeat starts out the same way.
+//
+//  repeat 2 ... end           plays what's inside twice. Repeats nest.
+//  ending 1 / ending 2        inside a repeat, only played on those times around
+//  phrase riff ... end        a bit you can play later with play riff, or play riff +5 to move it up 5 semitones
+//  label: / repeat label N    plays everything from the label down to here N more times
+//  segno, fine, coda          marks for D.C. (from the top), D.S. (from the segno), and to coda
+function preprocessMusicScript(input, errors = []) {
+    // Remove comments
+    const lines = input.split('\n').map((line, row) => {
+        const commentIndex = line.indexOf('//');
+        const code = commentIndex >= 0 ? line.substring(0, commentIndex) : line;
+        return { text: code.trim(), row, column: code.length - code.trimStart().length };
+    }).filter(line => line.text !== '');
+
+    // First pass: build the blocks up into a tree
+    const phrases = {};
+    let index = 0;
+    const parseBlock = (opener) => {
+        const nodes = [];
+        const endings = [];
+        let current = nodes;
+        while (index < lines.length) {
+            const line = lines[index++];
+            const [word, ...args] = line.text.split(/\s+/);
+            if (word === 'end') {
+                if (opener) return { nodes, endings };
+                errors.push(scriptProblem(line, "There's no repeat or phrase here to end"));
+            } else if (word === 'repeat' && (args.length === 0 || /^\d+$/.test(args[0]))) {
+                const count = (args.length > 0)? parseInt(args[0]) : 2;
+                current.push({ type: "repeat", line, count, ...parseBlock({ line, type: "repeat" }) });
+            } else if (word === 'phrase') {
+                const block = parseBlock({ line, type: "phrase" });
+                if (!args[0]) errors.push(scriptProblem(line, "phrase needs a name, like: phrase riff"));
+                else phrases[args[0]] = block.nodes;
+            } else if (word === 'ending') {
+                const passes = args.join("").split(",").map((pass) => parseInt(pass)).filter((pass) => pass > 0);
+                if (opener?.type !== "repeat") {
+                    errors.push(scriptProblem(line, "ending only works inside a repeat"));
+                } else if (passes.length === 0) {
+                    errors.push(scriptProblem(line, "ending needs to know which times around it's for, like: ending 1 or ending 1,2"));
+                } else {
+                    const ending = { passes, nodes: [] };
+                    endings.push(ending);
+                    current = ending.nodes;
+                }
+            } else {
+                current.push({ type: "line", line });
+            }
+        }
+        if (opener) errors.push(scriptProblem(opener.line, opener.type + " is missing its end"));
+        return { nodes, endings };
+    };
+    const tree = parseBlock(undefined).nodes;
+
+    // Second pass: play the tree out into lines
+    let expandedLines = [];
+    const maxLines = 100000;
+    let tooLong = false; //Once it is, everything stops walking the tree, or nested repeats would take forever to say nothing
+    const emit = (line) => {
+        if (expandedLines.length >= maxLines) {
+            if (!tooLong) errors.push(scriptProblem(line, "This repeats too many times to play"));
+            tooLong = true;
+            return;
+        }
+        expandedLines.push(line);
+    };
+    //context is { transpose, phrases: the ones we're inside of, jumped: after a D.C. or D.S. }
+    const expand = (nodes, context) => {
+        if (tooLong) return;
+        const labels = {};
+        const snapshots = {};
+        const markers = {};
+        nodes.forEach((node, i) => {
+            if (node.type !== "line") return;
+            const text = node.line.text;
+            if (text.endsWith(':')) labels[text.slice(0, -1)] = i;
+            if (["segno", "coda"].includes(text.toLowerCase())) markers[text.toLowerCase()] = i;
+        });
+
+        let jumped = context.jumped;
+        let i = 0;
+        while (i < nodes.length && !tooLong) {
+            const node = nodes[i++];
+            const line = node.line;
+            if (node.type === "repeat") {
+                //After a D.C. or D.S. repeats only go around once, through their last ending
+                const snapshot = {};
+                emit({ ...line, text: "", save: snapshot });
+                for (let pass = jumped? node.count : 1; pass <= node.count && !tooLong; ++pass) {
+                    if (pass > 1 && !jumped) emit({ ...line, text: "", restore: snapshot });
+                    expand(node.nodes, { ...context, jumped });
+                    const ending = node.endings.find((ending) => ending.passes.includes(pass));
+                    if (ending) expand(ending.nodes, { ...context, jumped });
+                }
+                continue;
+            }
+
+            const text = line.text;
+            const [word, ...args] = text.split(/\s+/);
+            const lowerText = text.toLowerCase();
+            if (text.endsWith(':')) {
+                snapshots[text.slice(0, -1)] = {};
+                emit({ ...line, text: "", save: snapshots[text.slice(0, -1)] });
+            } else if (word === 'repeat') {
+                // repeat label, or repeat label N
+                const [labelName, count] = args;
+                const repeatCount = parseInt(count) || 1;
+                if (Object.hasOwn(labels, labelName) && labels[labelName] < i) {
+                    for (let j = 0; j < repeatCount && !tooLong; j++) {
+                        emit({ ...line, text: "", restore: snapshots[labelName] });
+                        expand(nodes.slice(labels[labelName] + 1, i - 1), { ...context, jumped });
+                    }
+                } else {
+                    errors.push(scriptProblem(line, "There's no label called " + labelName, "warning"));
+                }
+            } else if (word === 'play') {
+                // play riff, or play riff +5
+                const [name, transposeText] = args;
+                const transpose = parseInt(transposeText ?? "0");
+                if (!name) {
+                    errors.push(scriptProblem(line, "play needs a phrase, like: play riff +5"));
+                } else if (!Object.hasOwn(phrases, name)) {
+                    errors.push(scriptProblem(line, "There's no phrase called " + name));
+                } else if (context.phrases.includes(name)) {
+                    errors.push(scriptProblem(line, name + " can't play itself"));
+                } else if (isNaN(transpose)) {
+                    errors.push(scriptProblem(line, "A phrase moves by a number of semitones, like: play " + name + " -3"));
+                } else {
+                    //Whatever the phrase changes stays inside it
+                    const snapshot = {};
+                    emit({ ...line, text: "", save: snapshot });
+                    expand(phrases[name], { transpose: context.transpose + transpose, phrases: [...context.phrases, name], jumped });
+                    emit({ ...line, text: "", restore: snapshot });
+                }
+            } else if (lowerText.startsWith('d.c.') || lowerText.startsWith('d.s.')) {
+                if (jumped) continue;
+                if (lowerText.startsWith('d.s.') && markers.segno === undefined) {
+                    errors.push(scriptProblem(line, "D.S. goes back to the segno, but there isn't one", "warning"));
+                    continue;
+                }
+                jumped = true;
+                i = lowerText.startsWith('d.c.')? 0 : markers.segno + 1;
+            } else if (lowerText === 'fine') {
+                if (jumped) break;
+            } else if (lowerText === 'to coda') {
+                if (!jumped) continue;
+                if (!(markers.coda >= i)) {
+                    errors.push(scriptProblem(line, "There's no coda after this to go to", "warning"));
+                    continue;
+                }
+                i = markers.coda + 1;
+            } else if (lowerText !== 'segno' && lowerText !== 'coda') {
+                emit({ ...line, transpose: context.transpose });
+            }
+        }
+    };
+    expand(tree, { transpose: 0, phrases: [], jumped: false });
+
+    return expandedLines;
+}
+
+//An error or warning about part of a line. Ace wants row, column and type, the rest is for the squiggle.
+function scriptProblem(line, text, type = "error", column = line.column, length = line.text.length - (column - line.column)) {
+    return { row: line.row, column, endColumn: column + length, text, type };
+}
+
+//Every word on a line, with the column it's at in the editor
+function scriptTokens(line) {
+    return Array.from(line.text.matchAll(/\S+/g), (match) => ({ text: match[0], column: line.column + match.index }));
+}
+
+//The words the script understands at the start of a line. The editor highlights and autocompletes these.
+const musicScriptDirectives = ["octave", "step", "rest", "repeat", "tempo", "voice", "track", "instrument", "cresc", "dim",
+    "end", "ending", "phrase", "play", "segno", "fine", "coda", "to coda", "D.C.", "D.S.", "key", "transpose", "voicing", "inversion", "arp", "dynamic"];
+//A line with just one of these on it sets how loud the notes after it are, as a MIDI velocity.
+//A lone f has always been the note F, so forte needs its keyword: dynamic f. The others can have it too.
+const musicScriptDynamics = { ppp: 16, pp: 33, p: 49, mp: 64, mf: 80, f: 96, ff: 112, fff: 127 };
+//The dynamic a line sets, or undefined if it doesn't
+function scriptDynamic(text) {
+    const [word, mark, extra] = text.trim().split(/\s+/);
+    if (word === "dynamic") return (extra === undefined && Object.hasOwn(musicScriptDynamics, mark ?? ""))? mark : undefined;
+    return (mark === undefined && word !== "f" && Object.hasOwn(musicScriptDynamics, word))? word : undefined;
+}
+//How the script writes a dynamic back out
+function formatScriptDynamic(mark) {
+    return (mark === "f")? "dynamic f" : mark;
+}
+const musicScriptNoteNames = ["C", "C#", "Db", "D", "D#", "Eb", "E", "F", "F#", "Gb", "G", "G#", "Ab", "A", "A#", "Bb", "B"];
+//A note is a letter, then maybe sharps or flats, an octave, a length, an accent and a tie: C, Bb, F#5, C:1/8, G:3/8., D!, E~
+//Any > or < in front moves the voice up or down an octave from then on. n is a natural, for when the key says otherwise.
+const musicScriptNotePattern = "[<>]*[A-Ga-g](?:##|bb|#|b|x|n)?(?:-?\\d+)?(?::[\\d./]+)?!?~?";
+const musicScriptLetters = ["C", "D", "E", "F", "G", "A", "B"];
+const musicScriptLetterValues = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const musicScriptAccidentals = { "": 0, "n": 0, "#": 1, "##": 2, "x": 2, "b": -1, "bb": -2 };
+
+//Splits up a note token, or gives back undefined if it isn't one.
+//pitchClass doesn't know about the key yet. accidental is "" when the key gets to decide.
+function parseScriptNote(text) {
+    const match = text.match(/^([<>]*)([A-Ga-g])(##|bb|#|b|x|n)?(-?\d+)?(?::([\d./]+))?(!)?(~)?$/);
+    if (!match) return undefined;
+    const [, shifts, letter, accidental = "", octave, length, accent, tie] = match;
+    return {
+        shift: scriptOctaveShift(shifts),
+        name: letter + accidental,
+        letter: letter.toUpperCase(),
+        accidental,
+        pitchClass: musicScriptLetterValues[letter.toUpperCase()] + musicScriptAccidentals[accidental],
+        octave: (octave !== undefined)? parseInt(octave) : undefined,
+        duration: (length !== undefined)? parseScriptDuration(length) : undefined,
+        accent: accent !== undefined,
+        tied: tie !== undefined
+    };
+}
+
+//Chord symbols, as the notes above the root
+const musicScriptChordQualities = {
+    "": [0, 4, 7], "m": [0, 3, 7], "min": [0, 3, 7], "-": [0, 3, 7], "dim": [0, 3, 6], "aug": [0, 4, 8], "+": [0, 4, 8],
+    "sus2": [0, 2, 7], "sus4": [0, 5, 7], "sus": [0, 5, 7], "5": [0, 7],
+    "6": [0, 4, 7, 9], "m6": [0, 3, 7, 9],
+    "7": [0, 4, 7, 10], "maj7": [0, 4, 7, 11], "M7": [0, 4, 7, 11], "m7": [0, 3, 7, 10], "min7": [0, 3, 7, 10], "mMaj7": [0, 3, 7, 11],
+    "dim7": [0, 3, 6, 9], "m7b5": [0, 3, 6, 10], "7sus4": [0, 5, 7, 10], "aug7": [0, 4, 8, 10],
+    "9": [0, 4, 7, 10, 14], "maj9": [0, 4, 7, 11, 14], "m9": [0, 3, 7, 10, 14], "add9": [0, 4, 7, 14], "madd9": [0, 3, 7, 14],
+    "11": [0, 4, 7, 10, 14, 17], "13": [0, 4, 7, 10, 14, 21]
+};
+//A chord is a root, a quality, maybe a bass note and maybe an inversion: Cmaj7, Am, G7/B, Dsus4, F^1. Then a length, accent and tie like a note.
+//Anything that reads as a note wins, so C7 is a C in octave 7. Brackets make it a chord: [C7]
+const musicScriptChordRegex = new RegExp("^(\\[)?([A-G])(#|b)?(" +
+    Object.keys(musicScriptChordQualities).sort((a, b) => b.length - a.length).map((quality) => quality.replace(/[+-]/g, "\\$&")).join("|") +
+    ")(?:/([A-G])(#|b)?)?(?:\\^(\\d))?(\\])?(?::([\\d./]+))?(!)?(~)?$");
+
+//Splits up a chord symbol, or gives back undefined if it isn't one
+function parseScriptChord(text) {
+    const match = text.match(musicScriptChordRegex);
+    if (!match) return undefined;
+    const [, open, root, rootAccidental = "", quality, bass, bassAccidental = "", inversion, close, length, accent, tie] = match;
+    if (Boolean(open) !== Boolean(close)) return undefined;
+    return {
+        name: root + rootAccidental + quality + (bass? "/" + bass + bassAccidental : ""),
+        quality, root, rootAccidental, bass, bassAccidental,
+        bracketed: Boolean(open),
+        rootPitchClass: musicScriptLetterValues[root] + musicScriptAccidentals[rootAccidental],
+        bassPitchClass: bass && (musicScriptLetterValues[bass] + musicScriptAccidentals[bassAccidental]),
+        intervals: musicScriptChordQualities[quality],
+        inversion: (inversion !== undefined)? parseInt(inversion) : undefined,
+        duration: (length !== undefined)? parseScriptDuration(length) : undefined,
+        accent: accent !== undefined,
+        tied: tie !== undefined
+    };
+}
+
+//The notes of a chord from the root up, after the inversion and voicing. A bass note goes under all of it.
+function scriptChordValues(chord, rootValue, inversion = 0, voicing = "close") {
+    const values = chord.intervals.map((interval) => rootValue + interval);
+    for (let i = 0; i < inversion % values.length; ++i) {
+        values.push(values.shift() + 12);
+    }
+    if (voicing === "open" && values.length >= 3) values[1] += 12;
+    if (voicing === "drop2" && values.length >= 3) values[values.length - 2] -= 12;
+    values.sort((a, b) => a - b);
+    if (chord.bassPitchClass !== undefined) {
+        values.unshift(values[0] - ((((values[0] - chord.bassPitchClass - 1) % 12) + 12) % 12 + 1));
+    }
+    return values;
+}
+
+//The order an arp plays a chord's notes in, count notes long. Random is the same every time for the same seed, so the song doesn't change as you type.
+function scriptArpPattern(values, pattern, count, seed) {
+    let cycle = values;
+    if (pattern === "down") cycle = [...values].reverse();
+    if (pattern === "updown") cycle = [...values, ...values.slice(1, -1).reverse()];
+    const result = [];
+    for (let i = 0; i < count; ++i) {
+        if (pattern === "random") {
+            seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+            result.push(values[(seed >>> 16) % values.length]);
+        } else {
+            result.push(cycle[i % cycle.length]);
+        }
+    }
+    return result;
+}
+
+//key Bb major, key F# minor, key D. Gives back the sharp or flat every letter gets, or undefined if it isn't a key we know.
+function parseScriptKey(text) {
+    const match = text.trim().match(/^([A-Ga-g])(#|b)?(?:\s+(\w+))?$/);
+    if (!match) return undefined;
+    const [, letter, accidental = "", modeText = "major"] = match;
+    const mode = modeText.toLowerCase();
+    if (mode !== "major" && mode !== "minor") return undefined;
+
+    //How many sharps the key has, going round the circle of fifths. Flats are negative.
+    const fifths = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 }[letter.toUpperCase()] + 7 * musicScriptAccidentals[accidental] - ((mode === "minor")? 3 : 0);
+    if (Math.abs(fifths) > 7) return undefined;
+    const accidentals = Object.fromEntries(musicScriptLetters.map((letter) => [letter, 0]));
+    const order = (fifths > 0)? "FCGDAEB" : "BEADGCF";
+    for (let i = 0; i < Math.abs(fifths); ++i) accidentals[order[i]] = Math.sign(fifths);
+    return { letter: letter.toUpperCase(), accidental, mode, fifths, accidentals };
+}
+
+//How far a run of > and < moves the octave
+function scriptOctaveShift(shifts) {
+    return Array.from(shifts).reduce((shift, c) => shift + ((c === ">")? 1 : -1), 0);
+}
+
+//A length the way step and notes take it: 1/4, 0.5, 2. Every dot on the end makes it half as long again.
+function parseScriptDuration(text) {
+    const [, amount, dots] = text.match(/^(.*?)(\.*)$/);
+    let duration;
+    if (amount.includes('/')) {
+        const fraction = amount.split('/');
+        duration = 1 / (parseFloat(fraction[1]) / parseFloat(fraction[0]));
+    } else {
+        duration = parseFloat(amount);
+    }
+    return duration * (2 - 1 / 2 ** dots.length);
+}
+
+//Like parseMusicScript, but also gives back the stuff about the song that isn't notes, and everything that was wrong with it.
+//Bad lines and notes get skipped, so the rest of the song still works.
+function analyzeMusicScript(input) {
+    let notes = [];
+    let errors = [];
+    let tempo = undefined;
+    //Every voice keeps its own place in the song, so a melody and a bass line can run side by side
+    const voices = {};
+    //Songs without any dynamics play at full volume like they always did. Once a script uses them, voices start at mf.
+    let startVelocity = 1.0;
+    const switchVoice = (name, instrument) => {
+        voices[name] ??= { currentTime: 0, octave: 0, stepDuration: .25, instrument: undefined, ties: [], velocity: startVelocity, ramp: undefined,
+            voicing: "close", inversion: 0, arp: undefined, chords: false };
+        if (instrument) voices[name].instrument = instrument;
+        return voices[name];
+    };
+    let voiceName = "";
+    let voice = switchVoice(voiceName);
+    //Tied notes wait for the same pitch to start right when they end. If it doesn't, the tie is dropped with a warning.
+    const dropStaleTies = (time) => {
+        voice.ties = voice.ties.filter((tie) => {
+            if (tie.note.endTime > time + 1e-6) return true;
+            errors.push(tie.problem);
+            return false;
+        });
+    };
+
+    //cresc and dim ramp the notes after them towards the next dynamic. Without one, they go up or down a step by the end.
+    const accented = (velocity, accent) => accent? Math.min(velocity + .2, 1.0) : velocity;
+    const rampTarget = (ramp) => {
+        const levels = Object.values(musicScriptDynamics).map((velocity) => velocity / 127);
+        return (ramp.direction > 0)? levels.find((level) => level > ramp.from + 1e-6) ?? 1.0
+            : levels.reverse().find((level) => level < ramp.from - 1e-6) ?? levels[levels.length - 1];
+    };
+    const finishRamp = (voice, to) => {
+        const { from, startTime, notes } = voice.ramp;
+        const length = voice.currentTime - startTime;
+        for (let { note, accent } of notes) {
+            const position = (length > 0)? (note.startTime - startTime) / length : 1.0;
+            note.velocity = accented(from + (to - from) * position, accent);
+        }
+        voice.ramp = undefined;
+        voice.velocity = to;
+    };
+
+    //These go for every voice, from where they are in the script on
+    let key = parseScriptKey("C");
+    let transpose = 0;
+    //What the preprocessor asked us to remember, so repeats and phrases can put it back
+    const snapshots = new Map();
+
+    try {
+        const lines = preprocessMusicScript(input, errors);
+        const usesDynamics = lines.some((lineInfo) => lineInfo.text !== undefined
+            && (scriptDynamic(lineInfo.text) || /^\s*(cresc|dim|dynamic)\b/.test(lineInfo.text)));
+        if (usesDynamics) {
+            startVelocity = musicScriptDynamics.mf / 127;
+            voice.velocity = startVelocity;
+        }
+
+        lines.forEach(lineInfo => {
+            if (lineInfo.save) {
+                const { octave, stepDuration, velocity, instrument, voicing, inversion, arp } = voice;
+                snapshots.set(lineInfo.save, { voiceName, key, transpose, octave, stepDuration, velocity, instrument, voicing, inversion, arp });
+                return;
+            }
+            if (lineInfo.restore) {
+                const snapshot = snapshots.get(lineInfo.restore);
+                if (snapshot) {
+                    const { voiceName: savedVoice, key: savedKey, transpose: savedTranspose, ...state } = snapshot;
+                    voiceName = savedVoice;
+                    key = savedKey;
+                    transpose = savedTranspose;
+                    voice = switchVoice(voiceName);
+                    Object.assign(voice, state);
+                }
+                return;
+            }
+
+            const line = lineInfo.text;
+            const [directive, argument] = scriptTokens(lineInfo);
+            const needsArgument = () => {
+                if (argument) return true;
+                errors.push(scriptProblem(lineInfo, directive.text + " needs a value"));
+                return false;
+            };
+            const badArgument = (text) => {
+                errors.push(scriptProblem(lineInfo, text, "error", argument.column, argument.text.length));
+            };
+
+            if (directive.text === 'tempo') {
+                if (!needsArgument()) return;
+                const bpm = parseFloat(argument.text);
+                if (bpm > 0) tempo = bpm;
+                else badArgument("tempo should be a number of beats per minute");
+            } else if (directive.text === 'voice' || directive.text === 'track') {
+                // voice name [instrument], or just voice to go back to the first one
+                const [, name, ...instrument] = line.split(" ").filter(part => part);
+                voiceName = name ?? "";
+                voice = switchVoice(voiceName, instrument.join(" "));
+            } else if (scriptDynamic(line)) {
+                const velocity = musicScriptDynamics[scriptDynamic(line)] / 127;
+                if (voice.ramp) finishRamp(voice, velocity);
+                voice.velocity = velocity;
+            } else if (directive.text === 'dynamic') {
+                errors.push(scriptProblem(lineInfo, "dynamic needs a mark: " + Object.keys(musicScriptDynamics).join(", ")));
+            } else if (directive.text === 'cresc' || directive.text === 'dim') {
+                if (voice.ramp) finishRamp(voice, rampTarget(voice.ramp));
+                voice.ramp = { direction: (directive.text === 'cresc')? 1 : -1, from: voice.velocity, startTime: voice.currentTime, notes: [] };
+            } else if (directive.text === 'key') {
+                if (!needsArgument()) return;
+                const newKey = parseScriptKey(line.substring(3));
+                if (newKey) key = newKey;
+                else errors.push(scriptProblem(lineInfo, "I don't know that key. Try something like: key Bb major", "error", argument.column));
+            } else if (directive.text === 'transpose') {
+                if (!needsArgument()) return;
+                const semitones = parseInt(argument.text);
+                if (isNaN(semitones)) badArgument("transpose should be a number of semitones, like -2");
+                else transpose = semitones;
+            } else if (directive.text === 'voicing') {
+                if (!needsArgument()) return;
+                if (["close", "open", "drop2"].includes(argument.text)) voice.voicing = argument.text;
+                else badArgument("voicing can be close, open or drop2");
+            } else if (directive.text === 'inversion') {
+                if (!needsArgument()) return;
+                const inversion = parseInt(argument.text);
+                if (inversion >= 0) voice.inversion = inversion;
+                else badArgument("inversion should be 0 for root position, 1 for first inversion and so on");
+            } else if (directive.text === 'arp') {
+                // arp up 1/16, or arp off
+                if (!needsArgument()) return;
+                const [, , rateToken] = scriptTokens(lineInfo);
+                const rate = rateToken? parseScriptDuration(rateToken.text) : 1/16;
+                if (argument.text === 'off') {
+                    voice.arp = undefined;
+                } else if (!["up", "down", "updown", "random"].includes(argument.text)) {
+                    badArgument("arp can go up, down, updown or random, or be off");
+                } else if (!(rate > 0 && isFinite(rate))) {
+                    errors.push(scriptProblem(lineInfo, "The arp's rate should be a length, like 1/16", "error", rateToken.column, rateToken.text.length));
+                } else {
+                    voice.arp = { pattern: argument.text, rate };
+                }
+            } else if (directive.text === 'instrument') {
+                if (!needsArgument()) return;
+                voice.instrument = line.substring(line.indexOf(" ")).trim();
+            } else if (directive.text === 'octave') {
+                if (!needsArgument()) return;
+                const octave = parseInt(argument.text);
+                if (isNaN(octave)) badArgument("octave should be a whole number");
+                else voice.octave = octave;
+            } else if (directive.text === 'step') {
+                if (!needsArgument()) return;
+                const stepDuration = parseScriptDuration(argument.text);
+                if (stepDuration > 0 && isFinite(stepDuration)) {
+                    voice.stepDuration = stepDuration;
+                } else {
+                    badArgument("step should be a length, like 1/4 or 0.5");
+                }
+            } else if (directive.text === 'rest' || directive.text.startsWith('rest:')) {
+                // rest, or rest:1/2 for a different length than the step
+                let duration = voice.stepDuration;
+                if (directive.text !== 'rest') {
+                    duration = parseScriptDuration(directive.text.substring(5));
+                    if (!(duration > 0 && isFinite(duration))) {
+                        errors.push(scriptProblem(lineInfo, "A rest's length should look like rest:1/8", "error", directive.column, directive.text.length));
+                        duration = voice.stepDuration;
+                    }
+                }
+                dropStaleTies(voice.currentTime);
+                voice.currentTime += duration;
+            } else {
+                // Process each note on the line. The line lasts as long as its shortest note.
+                const lineStart = voice.currentTime;
+                let lineLength = undefined;
+                scriptTokens(lineInfo).forEach(({ text: token, column }) => {
+                    if (/^[<>]+$/.test(token)) {
+                        voice.octave += scriptOctaveShift(token);
+                        return;
+                    }
+                    const problem = (text) => errors.push(scriptProblem(lineInfo, text, "error", column, token.length));
+                    //Continues a tied note if there's one waiting for this pitch, otherwise starts a new one
+                    const addNote = (noteValue, startTime, duration, { accent = false, tied = false, chord = undefined } = {}) => {
+                        const tieIndex = voice.ties.findIndex((tie) => tie.note.noteValue === noteValue && Math.abs(tie.note.endTime - startTime) < 1e-6);
+                        let note;
+                        if (tieIndex >= 0) {
+                            note = voice.ties.splice(tieIndex, 1)[0].note;
+                            note.endTime = startTime + duration;
+                        } else {
+                            note = {
+                                noteValue,
+                                noteLetter: MIDIInput.getMIDINoteInfo(noteValue).noteName,
+                                velocity: accented(voice.velocity, accent),
+                                startTime,
+                                endTime: startTime + duration,
+                                voice: voiceName,
+                                instrument: voice.instrument,
+                                sourceRow: lineInfo.row,
+                                sourceColumn: column,
+                                sourceTranspose: transpose + (lineInfo.transpose ?? 0) //What got added on top of what's written, for the roll editor
+                            };
+                            if (chord) note.chord = chord;
+                            notes.push(note);
+                            voice.ramp?.notes.push({ note, accent });
+                        }
+                        if (tied) {
+                            voice.ties.push({ note, problem: scriptProblem(lineInfo, "Nothing to tie " + token + " to", "warning", column, token.length) });
+                        }
+                    };
+                    const tokenDuration = (duration, example) => {
+                        if (duration === undefined) return voice.stepDuration;
+                        if (duration > 0 && isFinite(duration)) return duration;
+                        problem("A length should look like " + example + ":1/8");
+                        return voice.stepDuration;
+                    };
+
+                    const parsed = parseScriptNote(token);
+                    const chord = parsed? undefined : parseScriptChord(token);
+                    if (chord) {
+                        voice.chords = true;
+                        const duration = tokenDuration(chord.duration, chord.name);
+                        lineLength = Math.min(lineLength ?? Infinity, duration);
+                        const rootValue = voice.octave * 12 + 12 + chord.rootPitchClass + transpose + (lineInfo.transpose ?? 0);
+                        const chordValues = scriptChordValues(chord, rootValue, chord.inversion ?? voice.inversion, voice.voicing);
+                        const label = { name: chord.name, startTime: lineStart };
+                        if (!voice.arp) {
+                            chordValues.forEach((noteValue) => addNote(noteValue, lineStart, duration, { accent: chord.accent, tied: chord.tied, chord: label }));
+                            return;
+                        }
+                        //Spread out over the chord's length, one note every arp.rate
+                        const pattern = scriptArpPattern(chordValues, voice.arp.pattern, Math.ceil(duration / voice.arp.rate - 1e-6),
+                            lineInfo.row * 1000 + column + Math.round(lineStart * 96));
+                        pattern.forEach((noteValue, i) => {
+                            const startTime = lineStart + i * voice.arp.rate;
+                            addNote(noteValue, startTime, Math.min(voice.arp.rate, lineStart + duration - startTime), { accent: chord.accent && i === 0, chord: label });
+                        });
+                        return;
+                    }
+                    if (!parsed) {
+                        problem("Note not found: " + token);
+                        lineLength = Math.min(lineLength ?? Infinity, voice.stepDuration);
+                        return;
+                    }
+                    //C7 is a note, but it's also a chord symbol. Way up high, or in a voice that's playing chords, it was probably meant as the chord.
+                    const lookalike = parseScriptChord(token);
+                    if (lookalike && (parsed.octave >= 7 || voice.chords)) {
+                        errors.push(scriptProblem(lineInfo, token + " plays the note " + parsed.name + " in octave " + parsed.octave + ". For the " + lookalike.name + " chord, write [" + lookalike.name + "]",
+                            "warning", column, token.length));
+                    }
+                    const duration = tokenDuration(parsed.duration, parsed.name);
+                    lineLength = Math.min(lineLength ?? Infinity, duration);
+
+                    voice.octave += parsed.shift;
+                    const keyAccidental = (parsed.accidental === "")? key.accidentals[parsed.letter] : 0;
+                    const noteValue = (parsed.octave ?? voice.octave) * 12 + 12 + parsed.pitchClass + keyAccidental + transpose + (lineInfo.transpose ?? 0);
+                    addNote(noteValue, lineStart, duration, { accent: parsed.accent, tied: parsed.tied });
+                });
+
+                dropStaleTies(lineStart);
+                voice.currentTime += lineLength ?? 0;
+            }
+        });
+        Object.values(voices).forEach((leftover) => {
+            leftover.ties.forEach((tie) => errors.push(tie.problem));
+            if (leftover.ramp) finishRamp(leftover, rampTarget(leftover.ramp));
+        });
+    } catch (e) {
+        //Shouldn't happen, but keep whatever we got before it did
+        console.warn(e)
+        errors.push({ row: 0, column: 0, endColumn: 0, text: String(e), type: "error" });
+    }
+    //A line that got repeated complains once per time around, but it only needs saying once
+    const seen = new Set();
+    errors = errors.filter(({ row, column, text }) => {
+        const key = row + ":" + column + ":" + text;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    return { notes, tempo, errors }
+}
+
+function parseMusicScript(input) {
+    return analyzeMusicScript(input).notes;
+}
+
+//Snaps a time to the closest thing a step line can say nicely. 1/96 covers 32nds and triplets.
+function quantizeScriptTime(time, grid = 1/96) {
+    return Math.round(time / grid) * grid;
+}
+
+//Writes a duration the way you'd type it after `step`
+function formatScriptDuration(duration) {
+    for (let denominator of [1, 2, 3, 4, 6, 8, 12, 16, 24, 32, 48, 64, 96]) {
+        const numerator = Math.round(duration * denominator);
+        if (numerator > 0 && Math.abs(numerator / denominator - duration) < 1e-6) {
+            return (denominator === 1)? String(numerator) : numerator + "/" + denominator;
+        }
+    }
+    return String(parseFloat(duration.toFixed(4)));
+}
+
+//The other direction of parseMusicScript. Turns note objects back into script text.
+//Each voice gets its own section. Notes that start together go on one line, gaps become rests.
+function notesToMusicScript(notes, { tempo } = {}) {
+    const lines = [];
+    if (tempo) lines.push("tempo " + Math.round(tempo));
+    //Dynamics go in every voice or none, since using them at all changes where the others start
+    const dynamics = usesScriptDynamics(notes);
+
+    const voices = new Map();
+    for (let note of notes) {
+        const voice = note.voice ?? "";
+        if (!voices.has(voice)) voices.set(voice, []);
+        voices.get(voice).push(note);
+    }
+    for (let [voice, voiceNotes] of voices) {
+        if (voice !== "" || voices.size > 1) {
+            lines.push(["voice", voice, voiceNotes[0].instrument].filter(part => part).join(" "));
+        }
+        lines.push(...voiceToMusicScript(voiceNotes, { dynamics }));
+    }
+
+    return lines.join("\n");
+}
+
+//Anything short of full velocity needs dynamics to say so
+function usesScriptDynamics(notes) {
+    return notes.some((note) => note.velocity !== undefined && note.velocity < 1 - 1e-6);
+}
+
+//The mark closest to a velocity from 0 to 1
+function closestScriptDynamic(velocity) {
+    return Object.keys(musicScriptDynamics).reduce((a, b) =>
+        (Math.abs(musicScriptDynamics[b] - velocity * 127) < Math.abs(musicScriptDynamics[a] - velocity * 127))? b : a);
+}
+
+//How to write a sounding note where the script has a key and a transpose going: { name, octave }.
+//accidentals is what the key does to each letter, like parseScriptKey gives. A letter the key bends to the right pitch goes bare,
+//one the key would bend away gets an n, and the rest spell out their sharp (or flat, in a flat key).
+function spellScriptNote(noteValue, { accidentals, transpose = 0 } = {}) {
+    const written = noteValue - transpose;
+    if (!accidentals) {
+        const { noteName, octave } = MIDIInput.getMIDINoteInfo(written);
+        return { name: noteName, octave };
+    }
+    const bare = musicScriptLetters.find((letter) => (((musicScriptLetterValues[letter] + accidentals[letter] - written) % 12) + 12) % 12 === 0);
+    if (bare) return { name: bare, octave: (written - musicScriptLetterValues[bare] - accidentals[bare]) / 12 - 1 };
+    const flats = Object.values(accidentals).some((accidental) => accidental < 0);
+    const name = (flats? ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"] : ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"])[((written % 12) + 12) % 12];
+    return { name: (name.length === 1 && accidentals[name] !== 0)? name + "n" : name, octave: Math.floor(written / 12) - 1 };
+}
+
+//One voice worth of notes, as script lines.
+//octave, step and dynamic are what the script is already on where these go, so they don't get said again.
+//accidentals and transpose are the key and transpose there, so the notes get spelled to sound right (see spellScriptNote).
+function voiceToMusicScript(notes, { dynamics = usesScriptDynamics(notes), octave, step, dynamic = "mf", accidentals, transpose } = {}) {
+    const lines = [];
+    const groups = [];
+    for (let note of [...notes].sort((a, b) => a.startTime - b.startTime || b.noteValue - a.noteValue)) {
+        const startTime = quantizeScriptTime(note.startTime);
+        const duration = Math.max(quantizeScriptTime(note.endTime) - startTime, 1/96);
+        const last = groups[groups.length - 1];
+        if (last && Math.abs(last.startTime - startTime) < 1e-6) {
+            last.notes.push({ note, duration });
+        } else {
+            groups.push({ startTime, notes: [{ note, duration }] });
+        }
+    }
+
+    let currentTime = 0;
+    const setStep = (duration) => {
+        if (step === undefined || Math.abs(step - duration) > 1e-6) {
+            step = duration;
+            lines.push("step " + formatScriptDuration(duration));
+        }
+    };
+
+    groups.forEach((group, i) => {
+        const gap = group.startTime - currentTime;
+        if (gap > 1e-6) {
+            //Keep the current step if the gap is a few of them
+            const rests = (step !== undefined)? gap / step : NaN;
+            if (Math.abs(rests - Math.round(rests)) < 1e-6 && Math.round(rests) <= 4) {
+                for (let j = 0; j < Math.round(rests); ++j) lines.push("rest");
+            } else {
+                lines.push("rest:" + formatScriptDuration(gap));
+            }
+        }
+
+        //A line lasts as long as its shortest note, so that one goes by the step and the longer ones get their own length.
+        //If they all hang over the next line, the shortest gets cut off there.
+        const next = groups[i + 1];
+        const shortest = Math.min(...group.notes.map(({ duration }) => duration));
+        const length = next? Math.min(shortest, next.startTime - group.startTime) : shortest;
+        setStep(length);
+
+        //The loudest note in the group picks the closest dynamic
+        const velocities = group.notes.map(({ note }) => note.velocity).filter((velocity) => velocity !== undefined);
+        if (dynamics && velocities.length > 0) {
+            const closest = closestScriptDynamic(Math.max(...velocities));
+            if (closest !== dynamic) {
+                dynamic = closest;
+                lines.push(formatScriptDynamic(dynamic));
+            }
+        }
+
+        //Notes outside the top note's octave say their own
+        const spelled = group.notes.map(({ note }) => spellScriptNote(note.noteValue, { accidentals, transpose }));
+        const lineOctave = spelled[0].octave;
+        if (lineOctave !== octave) {
+            octave = lineOctave;
+            lines.push("octave " + octave);
+        }
+        const tokens = group.notes.map(({ duration }, i) => {
+            const { name, octave: ownOctave } = spelled[i];
+            const ownLength = (duration - length > 1e-6 && duration !== shortest)? ":" + formatScriptDuration(duration) : "";
+            return name + ((ownOctave !== lineOctave)? ownOctave : "") + ownLength;
+        });
+        lines.push([...new Set(tokens)].join(" "));
+
+        currentTime = group.startTime + length;
+    });
+
+    return lines;
+}
+
+//What the script is on at index in text: { octave, step, dynamic, dynamics, accidentals, transpose }. dynamic is undefined when the script has none.
+//accidentals is what the key there does to each letter. Parses the whole thing with test notes dropped in there,
+//so octave shifts, repeats, voices, keys and transposes all count.
+function scriptStateAt(text, index) {
+    const before = text.slice(0, index);
+    const probeRow = before.split("\n").length + 1;
+    //The rest keeps a tie above from swallowing the test notes. Cn finds the octave, the bare letters what the key does to them.
+    const { notes } = analyzeMusicScript(before + "\nrest\nCn " + musicScriptLetters.join(" ") + "\n" + text.slice(index));
+    const probes = notes.filter((note) => note.sourceRow === probeRow).slice(-8);
+    const dynamics = text.split("\n").some((line) => scriptDynamic(line) || /^\s*(cresc|dim|dynamic)\b/.test(line));
+    if (probes.length < 8) return { octave: 0, step: .25, dynamic: dynamics? "mf" : undefined, dynamics, accidentals: undefined, transpose: 0 };
+    const [probe, ...letters] = probes;
+    const transpose = probe.sourceTranspose ?? 0;
+    const octave = Math.floor((probe.noteValue - transpose) / 12) - 1;
+    return {
+        octave,
+        step: probe.endTime - probe.startTime,
+        dynamic: dynamics? closestScriptDynamic(probe.velocity ?? 1.0) : undefined,
+        dynamics,
+        accidentals: Object.fromEntries(musicScriptLetters.map((letter, i) =>
+            [letter, letters[i].noteValue - transpose - (octave * 12 + 12 + musicScriptLetterValues[letter])])),
+        transpose
+    };
+}
+
+//The lines that put the script back on state after something that left it on changed.
+//Whatever the text that follows sets again before its first note gets left out.
+function scriptStateLines(state, changed, following = "") {
+    const setAgain = new Set();
+    for (let line of following.split("\n").map((line) => line.trim())) {
+        if (line === "" || line.startsWith("//")) continue;
+        if (/^(octave|step)\s/.test(line)) setAgain.add(line.split(/\s+/)[0]);
+        else if (scriptDynamic(line)) setAgain.add("dynamic");
+        else break;
+    }
+    const lines = [];
+    if (state.octave !== changed.octave && !setAgain.has("octave")) lines.push("octave " + state.octave);
+    if (Math.abs(state.step - changed.step) > 1e-6 && !setAgain.has("step")) lines.push("step " + formatScriptDuration(state.step));
+    if (state.dynamic && state.dynamic !== changed.dynamic && !setAgain.has("dynamic")) lines.push(formatScriptDynamic(state.dynamic));
+    return lines;
+}
+
+//Moves the script whole octaves up or down. Only octave lines and notes that say their own octave change, the rest is relative to those.
+function transposeScriptOctaves(input, shift) {
+    const placed = new Set(); //Voices that have said their octave
+    let voiceName = "";
+    const lines = [];
+    for (let fullLine of input.split("\n")) {
+        const commentIndex = fullLine.indexOf("//");
+        const code = (commentIndex >= 0)? fullLine.substring(0, commentIndex) : fullLine;
+        const comment = fullLine.substring(code.length);
+        const [word, ...args] = code.trim().split(/\s+/);
+
+        if (word === "voice" || word === "track") voiceName = args[0] ?? "";
+        if (word === "octave" && /^-?\d+$/.test(args[0] ?? "")) {
+            placed.add(voiceName);
+            lines.push(code.replace(/-?\d+/, String(parseInt(args[0]) + shift)) + comment);
+            continue;
+        }
+        if (word === undefined || word === "" || musicScriptDirectives.includes(word) || word.startsWith("rest:") ||
+            word.endsWith(":") || scriptDynamic(code)) {
+            lines.push(fullLine);
+            continue;
+        }
+        //A voice that never said its octave was on 0, so now it has to
+        if (!placed.has(voiceName)) {
+            placed.add(voiceName);
+            lines.push(code.match(/^\s*/)[0] + "octave " + shift);
+        }
+        lines.push(code.replace(/\S+/g, (token) => {
+            const match = parseScriptNote(token) && token.match(/^([<>]*[A-Ga-g](?:##|bb|#|b|x|n)?)(-?\d+)(.*)$/);
+            return match? match[1] + (parseInt(match[2]) + shift) + match[3] : token;
+        }) + comment);
+    }
+    return lines.join("\n");
+}
+
+//Moves the whole script into another key, one token at a time, so the repeats, phrases and everything else stay where they were.
+//target is a key, like "D major", or a number of semitones. Gives back { text, exact }, or undefined if target isn't either.
+//exact says whether the new script really plays the old notes moved over, since octaves get followed top to bottom
+//and a phrase without its own octave line can end up somewhere else.
+function transposeMusicScript(input, target) {
+    const mod = (a, b) => ((a % b) + b) % b;
+    const keyPitch = (key) => musicScriptLetterValues[key.letter] + musicScriptAccidentals[key.accidental];
+    const keyLine = input.split("\n").map((line) => line.split("//")[0].trim()).find((line) => line.startsWith("key "));
+    const fromKey = parseScriptKey(keyLine?.substring(3) ?? "C") ?? parseScriptKey("C");
+
+    let semitones;
+    let toKey;
+    if (/^[+-]?\d+$/.test(String(target).trim())) {
+        semitones = parseInt(target);
+        //Whichever way of writing it has the fewest sharps or flats
+        const spellings = (fromKey.mode === "minor")? ["C", "C#", "D", "Eb", "E", "F", "F#", "G", "G#", "A", "Bb", "B"]
+            : ["C", "Db", "D", "Eb", "E", "F", "F#", "G", "Ab", "A", "Bb", "B"];
+        toKey = parseScriptKey(spellings[mod(keyPitch(fromKey) + semitones, 12)] + " " + fromKey.mode);
+    } else {
+        toKey = parseScriptKey(String(target));
+        if (!toKey) return undefined;
+        //Asking a major song for a minor key means the one with the same sharps and flats
+        if (toKey.mode !== fromKey.mode) {
+            const tonics = musicScriptLetters.flatMap((letter) => [letter, letter + "#", letter + "b"]);
+            toKey = tonics.map((tonic) => parseScriptKey(tonic + " " + fromKey.mode)).find((key) => key?.fifths === toKey.fifths);
+        }
+        //The closer way round
+        semitones = mod(keyPitch(toKey) - keyPitch(fromKey), 12);
+        if (semitones > 6) semitones -= 12;
+    }
+    const checked = (text) => {
+        const noteKey = (notes, shift) => notes.map((note) => [note.noteValue + shift, note.startTime, note.endTime].join()).sort().join(";");
+        return { text, exact: noteKey(parseMusicScript(input), semitones) === noteKey(parseMusicScript(text), 0) };
+    };
+    //Same key, so no note needs spelling again
+    if (mod(semitones, 12) === 0) return checked(transposeScriptOctaves(input, semitones / 12));
+
+    let letterShift = mod(musicScriptLetters.indexOf(toKey.letter) - musicScriptLetters.indexOf(fromKey.letter), 7);
+    if ((semitones < 0 && letterShift > 0) || (semitones === 0 && letterShift > 3)) letterShift -= 7;
+    letterShift += 7 * Math.trunc(semitones / 12);
+
+    //Moves a letter and its sharps or flats. octaves is how far the letter went past B or below C.
+    const moveSpelling = (letter, accidental, mostAccidentals = 2) => {
+        let index = musicScriptLetters.indexOf(letter) + letterShift;
+        const pitch = musicScriptLetterValues[letter] + accidental + semitones;
+        let newAccidental;
+        while (true) {
+            const octaves = Math.floor(index / 7);
+            const newLetter = musicScriptLetters[mod(index, 7)];
+            newAccidental = pitch - (musicScriptLetterValues[newLetter] + 12 * octaves);
+            if (Math.abs(newAccidental) <= mostAccidentals) return { letter: newLetter, accidental: newAccidental, octaves };
+            index += Math.sign(newAccidental);
+        }
+    };
+    const accidentalText = (accidental) => ({ "-2": "bb", "-1": "b", "0": "", "1": "#", "2": "##" })[accidental];
+
+    const octaves = {};
+    let voiceName = "";
+    const lines = input.split("\n").map((fullLine) => {
+        const commentIndex = fullLine.indexOf("//");
+        const code = (commentIndex >= 0)? fullLine.substring(0, commentIndex) : fullLine;
+        const comment = fullLine.substring(code.length);
+        const [word, ...args] = code.trim().split(/\s+/);
+
+        if (word === "voice" || word === "track") {
+            voiceName = args[0] ?? "";
+        } else if (word === "octave" && !isNaN(parseInt(args[0]))) {
+            octaves[voiceName] = parseInt(args[0]);
+        } else if (word === "key") {
+            const key = parseScriptKey(args.join(" "));
+            if (!key) return fullLine;
+            const tonic = moveSpelling(key.letter, musicScriptAccidentals[key.accidental]);
+            const mode = (args.length > 1)? " " + args.slice(1).join(" ") : "";
+            return code.replace(/key\s.*/, "key " + tonic.letter + accidentalText(tonic.accidental) + mode) + comment;
+        }
+        if (word === undefined || word === "" || musicScriptDirectives.includes(word) || word.startsWith("rest:") ||
+            word.endsWith(":") || scriptDynamic(code)) {
+            return fullLine;
+        }
+
+        return code.replace(/\S+/g, (token) => {
+            if (/^[<>]+$/.test(token)) {
+                octaves[voiceName] = (octaves[voiceName] ?? 0) + scriptOctaveShift(token);
+                return token;
+            }
+            const parsed = parseScriptNote(token);
+            const chord = parsed? undefined : parseScriptChord(token);
+            if (chord) {
+                //Chords don't have an octave of their own, so they get moved over one and back if they need it
+                const root = moveSpelling(chord.root, musicScriptAccidentals[chord.rootAccidental], 1);
+                const bass = chord.bass && moveSpelling(chord.bass, musicScriptAccidentals[chord.bassAccidental], 1);
+                const name = root.letter + accidentalText(root.accidental) + chord.quality + (bass? "/" + bass.letter + accidentalText(bass.accidental) : "");
+                const moved = (chord.bracketed? "[" : "") + name + token.substring(chord.name.length + (chord.bracketed? 1 : 0));
+                const shift = ">".repeat(Math.max(root.octaves, 0)) + "<".repeat(Math.max(-root.octaves, 0));
+                const back = ">".repeat(Math.max(-root.octaves, 0)) + "<".repeat(Math.max(root.octaves, 0));
+                return (root.octaves !== 0)? shift + " " + moved + " " + back : moved;
+            }
+            if (!parsed) return token;
+            octaves[voiceName] = (octaves[voiceName] ?? 0) + parsed.shift;
+
+            const [, shifts, letter, , octaveText, rest] = token.match(/^([<>]*)([A-Ga-g])(##|bb|#|b|x|n)?(-?\d+)?(.*)$/);
+            const accidental = (parsed.accidental === "")? fromKey.accidentals[parsed.letter] : musicScriptAccidentals[parsed.accidental];
+            const moved = moveSpelling(parsed.letter, accidental);
+            let newAccidental;
+            if (parsed.accidental === "" && moved.accidental === toKey.accidentals[moved.letter]) {
+                newAccidental = "";
+            } else if (moved.accidental === 0) {
+                newAccidental = (toKey.accidentals[moved.letter] !== 0)? "n" : "";
+            } else {
+                newAccidental = accidentalText(moved.accidental);
+            }
+            let newOctave = "";
+            if (octaveText !== undefined) {
+                newOctave = String(parseInt(octaveText) + moved.octaves);
+            } else if (moved.octaves !== 0) {
+                newOctave = String((octaves[voiceName] ?? 0) + moved.octaves);
+            }
+            const newLetter = (letter === letter.toLowerCase())? moved.letter.toLowerCase() : moved.letter;
+            return shifts + newLetter + newAccidental + newOctave + rest;
+        }) + comment;
+    });
+
+    //Without a key line the script was in C, but the new one needs to say what it's in
+    if (!keyLine && toKey.fifths !== 0) {
+        lines.unshift("key " + toKey.letter + toKey.accidental + " " + toKey.mode);
+    }
+
+    return checked(lines.join("\n"));
+}
+
+//Matches the notes the player actually plays against the ghost notes.
+//Everything in here is in seconds, so the windows feel the same at any tempo.
+class PlayAlongJudge {
+    constructor(){
+        this.windows = {
+            perfect: .05,
+            good: .1,
+            late: .2 // Only counts when you're behind the note. Being that early is just a wrong note.
+        };
+        this.weights = { perfect: 1.0, good: .75, late: .5, miss: 0.0 };
+        this.scoreDynamics = false; //Also grade how close the player's velocity was to the note's
+        this.reset([]);
+    }
+
+    reset(ghostNotes, toSeconds = (time) => time){
+        this.ghostNotes = ghostNotes;
+        this.toSeconds = toSeconds;
+        this.results = new Map(); //ghostNote -> { grade, offset, hitTime }
+        this.strayHits = 0;
+        this.lastResult = undefined;
+    }
+
+    //time is the song time, in script units, that the player pressed the key at. velocity is 0 to 1, if we know it.
+    hit(noteValue, time, velocity){
+        const hitSeconds = this.toSeconds(time);
+        let best = undefined;
+        for(let ghostNote of this.ghostNotes){
+            if(ghostNote.noteValue != noteValue || this.results.has(ghostNote)) continue;
+            const offset = hitSeconds - this.toSeconds(ghostNote.startTime);
+            if(offset < -this.windows.good || offset > this.windows.late) continue;
+            if(!best || Math.abs(offset) < Math.abs(best.offset)){
+                best = { ghostNote, offset };
+            }
+        }
+        if(!best){
+            ++this.strayHits;
+            return undefined;
+        }
+
+        const absOffset = Math.abs(best.offset);
+        const grade = (absOffset <= this.windows.perfect)? "perfect" : (absOffset <= this.windows.good)? "good" : "late";
+        const result = { grade, offset: best.offset, hitTime: time, ghostNote: best.ghostNote, velocityOffset: undefined };
+        if(velocity !== undefined && best.ghostNote.velocity !== undefined){
+            result.velocityOffset = velocity - best.ghostNote.velocity;
+        }
+        this.results.set(best.ghostNote, result);
+        this.lastResult = result;
+        return result;
+    }
+
+    //Anything that got past the late window without being hit is a miss
+    update(time){
+        const nowSeconds = this.toSeconds(time);
+        for(let ghostNote of this.ghostNotes){
+            if(this.results.has(ghostNote)) continue;
+            if(nowSeconds - this.toSeconds(ghostNote.startTime) > this.windows.late){
+                this.results.set(ghostNote, { grade: "miss", offset: undefined, hitTime: undefined, ghostNote });
+            }
+        }
+    }
+
+    //Forget everything judged from time on (or between from and to), so it can be played again
+    rewind(from, to = Infinity){
+        for(let ghostNote of this.results.keys()){
+            if(ghostNote.startTime >= from && ghostNote.startTime < to){
+                this.results.delete(ghostNote);
+            }
+        }
+    }
+
+    resultFor(ghostNote){
+        return this.results.get(ghostNote);
+    }
+
+    isHit(ghostNote){
+        const result = this.results.get(ghostNote);
+        return result !== undefined && result.grade !== "miss";
+    }
+
+    //notes can be just some of the ghost notes, like the ones in a loop
+    summary(notes = this.ghostNotes){
+        const counts = { perfect: 0, good: 0, late: 0, miss: 0 };
+        let score = 0;
+        let totalOffset = 0;
+        let offsetCount = 0;
+        let totalVelocityOffset = 0;
+        let velocityCount = 0;
+        for(let ghostNote of notes){
+            const grade = this.results.get(ghostNote)?.grade ?? "miss";
+            ++counts[grade];
+            score += this.weights[grade];
+            const offset = this.results.get(ghostNote)?.offset;
+            if(offset !== undefined){
+                totalOffset += Math.abs(offset);
+                ++offsetCount;
+            }
+            const velocityOffset = this.results.get(ghostNote)?.velocityOffset;
+            if(velocityOffset !== undefined){
+                totalVelocityOffset += Math.abs(velocityOffset);
+                ++velocityCount;
+            }
+        }
+        return {
+            counts,
+            total: notes.length,
+            hits: notes.length - counts.miss,
+            accuracy: (notes.length > 0)? score / notes.length : 1.0,
+            meanOffset: (offsetCount > 0)? totalOffset / offsetCount : 0,
+            //1 is every hit at the right loudness. Undefined unless we're scoring dynamics and got some velocities.
+            dynamics: (this.scoreDynamics && velocityCount > 0)? 1.0 - totalVelocityOffset / velocityCount : undefined,
+            strayHits: this.strayHits
+        };
+    }
+}
+
+//Hands notes to the AudioPlayer a little before they're due, timed on the AudioContext clock.
+//The timer only decides when we look ahead. When the notes actually sound is up to the audio clock, so busy frames don't drift.
+//It also owns the song's timeline, so anything that has to line up with the sound should ask songTimeAt().
+class PlaybackScheduler {
+    constructor(audioPlayer){
+        this.audioPlayer = audioPlayer;
+        this.lookAhead = .1; //seconds
+        this.interval = 25; //milliseconds
+        this.timer = undefined;
+        this.notes = [];
+        this.loop = undefined;
+        //Each segment is a straight line from audio time to song time. Loops add a new one every time they come back around.
+        this.segments = [{ audioTime: 0, songTime: 0, secondsPerUnit: 1.0, pass: 0 }];
+        //Asked for the speed of the next pass when the loop comes back around, so a tempo change lands right on loop.start
+        this.nextPassSecondsPerUnit = (segment) => segment.secondsPerUnit;
+    }
+
+    //Plays notes from song time fromTime, which lands on the audio clock at audioTime.
+    //loop is { start, end } in song time. When the song gets to loop.end it goes back to loop.start, forever.
+    start(notes, fromTime, audioTime, bpm, loop){
+        this.stop();
+        this.notes = [...notes].sort((a, b) => a.startTime - b.startTime);
+        this.loop = (loop && (loop.end - loop.start) > .001)? loop : undefined;
+        this.segments = [{ audioTime, songTime: fromTime, secondsPerUnit: 120.0/bpm, pass: 0 }];
+        this.cursor = fromTime; //Everything before this has been scheduled
+        this.tick();
+        this.timer = setInterval(() => this.tick(), this.interval);
+    }
+
+    segmentAt(audioTime){
+        let segment = this.segments[0];
+        for(let next of this.segments){
+            if(next.audioTime > audioTime) break;
+            segment = next;
+        }
+        return segment;
+    }
+
+    songTimeAt(audioTime){
+        const segment = this.segmentAt(audioTime);
+        return segment.songTime + (audioTime - segment.audioTime) / segment.secondsPerUnit;
+    }
+
+    //How many times the loop has come back around by audioTime
+    loopPassAt(audioTime){
+        return this.segmentAt(audioTime).pass;
+    }
+
+    toAudioTime(segment, time){
+        return segment.audioTime + (time - segment.songTime) * segment.secondsPerUnit;
+    }
+
+    tick(){
+        const now = this.audioPlayer.now();
+        const horizon = now + this.lookAhead;
+
+        //Forget the segments we're already past
+        while(this.segments.length > 1 && this.segments[1].audioTime <= now){
+            this.segments.shift();
+        }
+
+        while(true){
+            const segment = this.segments[this.segments.length - 1];
+            const horizonTime = segment.songTime + (horizon - segment.audioTime) / segment.secondsPerUnit;
+            const until = this.loop? Math.min(horizonTime, this.loop.end) : horizonTime;
+
+            for(let note of this.notes){
+                if(note.startTime < this.cursor) continue;
+                if(note.startTime >= until) break;
+
+                const startTime = this.toAudioTime(segment, note.startTime);
+                const endTime = this.toAudioTime(segment, this.loop? Math.min(note.endTime, this.loop.end) : note.endTime);
+                if(endTime > now){ //Unless we fell so far behind that it's already over
+                    this.audioPlayer.scheduleNote(note.noteValue, note.velocity ?? 1.0, Math.max(startTime, now), endTime, note.instrument, note.voice);
+                }
+            }
+            this.cursor = until;
+
+            if(this.loop && horizonTime >= this.loop.end){
+                this.segments.push({
+                    audioTime: this.toAudioTime(segment, this.loop.end),
+                    songTime: this.loop.start,
+                    secondsPerUnit: this.nextPassSecondsPerUnit(segment),
+                    pass: segment.pass + 1
+                });
+                this.cursor = this.loop.start;
+                continue;
+            }
+            break;
+        }
+
+        const lastNote = this.notes[this.notes.length - 1];
+        if(!this.loop && (!lastNote || this.cursor > lastNote.startTime)){
+            //Everything is queued up on the audio clock, nothing left to look for
+            clearInterval(this.timer);
+            this.timer = undefined;
+        }
+    }
+
+    //Cancels everything that hasn't finished playing yet
+    stop(){
+        clearInterval(this.timer);
+        this.timer = undefined;
+        this.notes = [];
+        this.audioPlayer.cancelScheduled();
+    }
+}
+
+class Game extends EventTarget{
+    constructor(canvas, audioPlayer){
+        super();
+        this.audioPlayer = audioPlayer ?? new AudioPlayer();
+        this.scheduler = new PlaybackScheduler(this.audioPlayer);
+        this.scheduler.nextPassSecondsPerUnit = (segment) => this.nextPassSecondsPerUnit(segment);
+        this.canvas = canvas
+        this.canvasContext = canvas.getContext("2d");
+        this.monsters = ["1f479", "1f47a", "1f47b", "1f480", "1f47d", "1f916", "1f47f", "1f608", "1f9db", "1f9df", "1f9d9", "1f577", "1f987"]; //Array.from("👹👺👻💀👽🤖👿😈🧛🧟🧙🕷️🦇").filter((str)=>str.length > 1)
+        this.notes = []
+        this.ghostNotes = []
+        this.voices = [""]; //Every voice name in the notes, in the order they show up
+        this.fightVoice = undefined; //The voice you're playing. The rest is accompaniment. undefined means all of them.
+        this.voiceColors = ["#E0457B", "#3FA7D6", "#59CD90", "#FAC05E", "#9B5DE5", "#F79D84"];
+        this.start = 0;
+        this.end =  1;
+        this.darkMode = false;
+        this.playing = false;
+        this.paused = false;
+        this.position = 0; //The playhead, in song time, for when we're not playing
+        this.loopEnabled = false;
+        this.loopStart = undefined; //A
+        this.loopEnd = undefined; //B
+        this.loopSpeedUp = 0; //Percent faster after every clean pass through the loop
+        this.lastLoopPass = 0;
+        this.bpm = 120.0;
+        this.startDelay = .5;
+        this.sword = document.getElementById("sword");
+        this.judge = new PlayAlongJudge();
+        this.runStart = 0; //Where the run you're playing started, in song time
+        this.runFinished = false;
+        this.selection = []; //Editor notes picked on the roll, in edit mode
+        this.selectionBox = undefined; //{x0, y0, x1, y1} in roll space while you drag one out
+        this.inputTrail = []; //What you played lately: { noteValue, start, end, grade } on the audio clock
+        this.trailSeconds = 3;
+        this.gradeColors = { perfect: "#33CC66", good: "#3399FF", late: "orange", miss: "#FF4433" };
+        this.monsterImages = {};
+        this.loadMonsterImages();
+
+        this.calculateRanges(); //sets highestNote, lowestNote, highestNoteLetter, lowestNoteLetter, end
+    
+    }
+
+    loadMonsterImages() {
+        this.monsters.forEach(monsterId => {
+            const img = new Image();
+            img.src = `./twemoji/assets/svg/${monsterId}.svg`;
+            this.monsterImages[monsterId] = img;
+        });
+    }
+    shuffleMonsters(){
+        //this doesn't work
+        //this.monsters = this.monsters
+        //    .map(value => ({ value, sort: Math.random() }))
+        //    .sort((a, b) => a.sort - b.sort)
+        //    .map(({ value }) => value)
+    }
+
+    calculateRanges(){
+        const calculate = (notes) => {
+            const maxNote = notes.reduce((prev, current) => (prev.noteValue > current.noteValue) ? prev : current);
+            const minNote = notes.reduce((prev, current) => (prev.noteValue < current.noteValue) ? prev : current);
+            
+            return {minNote, maxNote};
+        }
+        const setRanges = ({minNote, maxNote}) => {
+            this.highestNote = maxNote.noteValue ?? 0;
+            this.lowestNote = minNote.noteValue ?? 0;
+            this.highestNoteLetter = maxNote.noteLetter;
+            this.lowestNoteLetter = minNote.noteLetter;
+        }
+
+        this.end = Math.max(
+            ...this.ghostNotes.filter(note => note.endTime > 0).map(note => note.endTime),
+            ...this.notes.filter(note => note.endTime > 0).map(note => note.endTime),
+            0 // This ensures that Math.max has at least one argument
+        );        
+        if(this.ghostNotes.length > 0 && this.notes.length > 0){
+            const {maxNote: maxGhostNote, minNote: minGhostNote} = calculate(this.ghostNotes);
+            const {maxNote: maxRealNote, minNote: minRealNote} = calculate(this.notes);
+            const maxNote = (maxGhostNote.noteValue > maxRealNote.noteValue)? maxGhostNote : maxRealNote;
+            const minNote = (minGhostNote.noteValue < minRealNote.noteValue)? minGhostNote : minRealNote;
+            
+            setRanges({minNote, maxNote});
+        } else if(this.ghostNotes.length > 0){
+            setRanges(calculate(this.ghostNotes));
+        }else if(this.notes.length > 0){
+            setRanges(calculate(this.notes));
+        }else{
+            this.highestNote = undefined;
+            this.lowestNote = undefined;
+            this.highestNoteLetter = 'C';
+            this.lowestNoteLetter = 'C';
+        }
+
+        if(isNaN(this.end)){
+            console.warn("end is NaN. Parsing the script probably failed and put NaN for note.endTime")
+        }
+
+        const range = this.lowestNote + "-" + this.highestNote;
+        if(range !== this.lastRange){
+            this.lastRange = range;
+            this.dispatchEvent(new CustomEvent('rangechange', { detail: { lowestNote: this.lowestNote, highestNote: this.highestNote } }));
+        }
+
+        const voices = [...new Set([...this.notes, ...this.ghostNotes].map(note => note.voice ?? ""))];
+        if(voices.length < 1) voices.push("");
+        if(voices.join("\n") != this.voices?.join("\n")){
+            this.voices = voices;
+            if(!voices.includes(this.fightVoice)) this.fightVoice = undefined;
+            this.dispatchEvent(new CustomEvent('voiceschange', { detail: { voices } }));
+        }
+    }
+
+    setFightVoice(voice){
+        this.fightVoice = voice;
+        if(this.playing) this.stop();
+    }
+
+    //The ghost notes you have to hit
+    targetNotes(){
+        if(this.fightVoice === undefined) return this.ghostNotes;
+        return this.ghostNotes.filter((note) => (note.voice ?? "") === this.fightVoice);
+    }
+
+    //The editor notes the game plays for you. The voice you're fighting is up to you.
+    playbackNotes(){
+        if(this.fightVoice === undefined) return this.notes;
+        return this.notes.filter((note) => (note.voice ?? "") !== this.fightVoice);
+    }
+
+    //The first voice gets the normal colour, the rest get one each
+    voiceColor(voice){
+        const index = this.voices.indexOf(voice ?? "");
+        if(index <= 0) return this.darkMode? "white" : "black";
+        return this.voiceColors[(index - 1) % this.voiceColors.length];
+    }
+
+    setGhostNotes(ghostNotes){
+        this.ghostNotes = ghostNotes ?? [];
+        this.calculateRanges();
+    }
+
+    setNotes(notes){
+        this.notes = notes ?? this.notes;
+        //The script got parsed again, so find the same notes among the new ones
+        const key = (note) => [note.voice ?? "", note.noteValue, note.startTime, note.endTime].join("|");
+        const selected = new Set(this.selection.map(key));
+        this.selection = this.notes.filter((note) => selected.has(key(note)));
+        this.calculateRanges();
+    }
+
+    run(){
+        window.requestAnimationFrame(()=>{
+            this.draw();
+            this.run();
+        });
+    }
+
+    //Where the song is right now, in the same units as note.startTime.
+    //Everything that needs to line up with the sound (drawing, the sword, judging) should go through this.
+    currentSongTime(){
+        if(!this.playing) return this.position;
+        return this.scheduler.songTimeAt(this.audioPlayer.now());
+    }
+
+    toSeconds(time){
+        return time * (120.0/this.bpm);
+    }
+
+    //The A-B section, or undefined if we aren't looping
+    activeLoop(){
+        if(!this.loopEnabled) return undefined;
+        const start = this.loopStart ?? this.start;
+        const end = this.loopEnd ?? this.end;
+        return (end > start)? { start, end } : undefined;
+    }
+
+    //(Re)starts the scheduler from time, right now. Used for play, seek, tempo and loop changes.
+    restartScheduler(time){
+        this.lastLoopPass = 0;
+        this.lastSwingTime = time;
+        this.scheduler.start(this.playbackNotes(), time, this.audioPlayer.now(), this.bpm, this.activeLoop());
+    }
+
+    //Changing the tempo mid song keeps the current spot, and reschedules everything after it
+    setBpm(bpm){
+        if(!(bpm > 0)) return;
+        const time = this.currentSongTime();
+        this.bpm = bpm;
+        if(this.playing){
+            this.restartScheduler(time);
+        }
+        this.dispatchEvent(new CustomEvent('tempochange', { detail: { bpm } }));
+    }
+
+    //Jumping around starts a new run from there, so the notes you skipped don't count as misses
+    seek(time){
+        time = Math.min(Math.max(time, this.start), this.end);
+        if(this.playing){
+            this.startRun(time);
+            this.restartScheduler(time);
+        }else{
+            this.position = time;
+            this.paused = false; //So play starts the run over instead of picking the old one back up
+        }
+    }
+
+    //Only judge the part you're actually going to play
+    startRun(time){
+        this.judge.reset(this.targetNotes().filter((note) => note.startTime >= time), (time) => this.toSeconds(time));
+        this.runStart = time;
+        this.runFinished = false;
+    }
+
+    setLoop(loopStart, loopEnd){
+        if(loopStart !== undefined && loopEnd !== undefined && loopEnd < loopStart){
+            [loopStart, loopEnd] = [loopEnd, loopStart];
+        }
+        this.loopStart = loopStart;
+        this.loopEnd = loopEnd;
+        if(this.playing){
+            this.restartScheduler(this.currentSongTime());
+        }
+    }
+
+    setLoopEnabled(enabled){
+        this.loopEnabled = enabled;
+        if(this.playing){
+            this.restartScheduler(this.currentSongTime());
+        }
+    }
+
+    loopNotes(loop){
+        return this.targetNotes().filter((note) => note.startTime >= loop.start && note.startTime < loop.end);
+    }
+
+    //The scheduler asks this a little before B, while it queues up the next pass.
+    //The last notes can still be in their window then, so a pass is clean if nothing's been missed yet.
+    nextPassSecondsPerUnit(segment){
+        const loop = this.activeLoop();
+        if(!loop || !(this.loopSpeedUp > 0)) return segment.secondsPerUnit;
+        const loopNotes = this.loopNotes(loop);
+        const clean = loopNotes.length > 0 && loopNotes.every((note) => this.judge.resultFor(note)?.grade !== "miss");
+        return clean? segment.secondsPerUnit / (1.0 + this.loopSpeedUp / 100.0) : segment.secondsPerUnit;
+    }
+
+    //Called when the song jumps from B back to A
+    onLoopPass(){
+        const loop = this.activeLoop();
+        if(!loop) return;
+        const loopNotes = this.loopNotes(loop);
+        if(loopNotes.length > 0){
+            this.finishRun(this.judge.summary(loopNotes), loop, this.lastLoopPass);
+        }
+
+        this.judge.rewind(loop.start, loop.end);
+        this.lastSwingTime = loop.start - .001;
+
+        //If the pass got faster, the scheduler already started it that way. Just catch up with it.
+        const bpm = 120.0 / this.scheduler.segmentAt(this.audioPlayer.now()).secondsPerUnit;
+        if(Math.abs(bpm - this.bpm) > 1e-6){
+            this.bpm = bpm;
+            this.dispatchEvent(new CustomEvent('tempochange', { detail: { bpm } }));
+        }
+    }
+
+    //Lets whoever's keeping score know a run is over. section is the part of the song it covered, or undefined for all of it.
+    //loopPass counts the passes through the loop since it last started, for runs that are one of those.
+    finishRun(summary, section, loopPass){
+        this.dispatchEvent(new CustomEvent('runfinish', {
+            detail: { summary, bpm: this.bpm, section: section && { start: section.start, end: section.end }, loopPass }
+        }));
+    }
+
+    //Swing at every note the playback passed since the last frame
+    swingAtPlayedNotes(time){
+        //If you're fighting one voice, the sword is yours
+        if(this.fightVoice !== undefined) return;
+        for(let note of this.notes){
+            if(note.startTime > this.lastSwingTime && note.startTime <= time){
+                this.swingSword(note.noteValue);
+            }
+        }
+        this.lastSwingTime = time;
+    }
+
+    //Called for every note the player presses, from MIDI or the on screen piano
+    noteOn({ note, velocity }){
+        const played = { noteValue: note, start: this.audioPlayer.now(), end: undefined, grade: undefined };
+        this.inputTrail.push(played);
+        if(!this.playing) return;
+        const result = this.judge.hit(note, this.currentSongTime(), (velocity !== undefined)? velocity / 127 : undefined);
+        if(result){
+            played.grade = result.grade;
+            this.swingSword(note);
+        }
+        return result;
+    }
+
+    noteOff({ note }){
+        const played = this.inputTrail.findLast((played) => played.noteValue === note && played.end === undefined);
+        if(played) played.end = this.audioPlayer.now();
+    }
+
+    swingSword(noteValue){
+        this.sword.swing = !(this.sword.swing);
+        //this.sword.style.setProperty("scale", this.sword.swing? "1.0 -1.0" : "");
+        this.sword.style.setProperty("transform", this.sword.swing? "rotate(80deg)" : "rotate(-80deg)");
+
+        const noteRange = this.highestNote - this.lowestNote;
+        const noteHeight = 1.0/(noteRange + 1);
+        const y = (this.highestNote - noteValue) * noteHeight;
+        this.sword.style.setProperty("top", (y * 100.0) + "%");
+    }
+
+    uvX(x){
+        return x * this.canvas.width
+    }
+    uvY(y){
+        return y * this.canvas.height
+    }
+
+    lerp( a, b, zeroToOne ) {
+        return a + zeroToOne * ( b - a )
+    }
+    invLerp(x, a, b){
+        return (x - a) / (b - a)
+    }
+
+    //Song time to roll space (0 to 1). The tempo scales both sides the same, so the roll doesn't stretch when you change the bpm.
+    timeToX(time){
+        return this.invLerp(this.toSeconds(time), this.toSeconds(this.start), this.toSeconds(this.end));
+    }
+    xToTime(x){
+        return this.lerp(this.start, this.end, x);
+    }
+    //Roll space to the note on that row, and back to the top of the row
+    yToNote(y){
+        const noteHeight = 1.0/(this.highestNote - this.lowestNote + 1);
+        return this.highestNote - Math.floor(y / noteHeight);
+    }
+    noteToY(noteValue){
+        return (this.highestNote - noteValue) / (this.highestNote - this.lowestNote + 1);
+    }
+
+    //you gotta set the this.canvasContext.fillStyle before calling this
+    drawNotes(notes, shake = 5.0){
+        //This is in game space, from (0,0) in the top left corner, to (1,1) in the bottom right corner.
+        const noteRange = this.highestNote - this.lowestNote;
+        const noteHeight = 1.0/(noteRange + 1);
+
+        for(let note of notes){
+            const y = (this.highestNote - note.noteValue) * noteHeight;  //This should always yield a >= 0 value
+            const xStart = this.timeToX(note.startTime)
+            const xEnd = this.timeToX(note.endTime)
+
+            const rect = [this.uvX(xStart), this.uvY(y) + (this.canvas.height / 500.0)*shake*Math.sin(1.5*note.startTime + this.audioPlayer.now()), this.uvX(xEnd - xStart), this.uvY(noteHeight)];
+            //Quieter notes are fainter
+            this.canvasContext.globalAlpha = .3 + .7 * (note.velocity ?? 1.0);
+            this.canvasContext.beginPath(); // Start a new path
+            this.canvasContext.fillRect(...rect); // Add a rectangle to the current path
+        }
+        this.canvasContext.globalAlpha = 1.0;
+    }
+
+    drawBackground(){
+        this.canvasContext.fillStyle = this.darkMode? "black" : "white";
+        this.canvasContext.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    draw(){
+        if(this.playing){
+            const loopPass = this.scheduler.loopPassAt(this.audioPlayer.now());
+            if(loopPass != this.lastLoopPass){
+                this.lastLoopPass = loopPass;
+                this.onLoopPass();
+            }
+
+            const time = this.currentSongTime();
+            this.judge.update(time);
+            this.swingAtPlayedNotes(time);
+
+            //Give the last notes the whole late window before calling it
+            if(!this.activeLoop() && time >= this.end + this.judge.windows.late * (this.bpm/120.0)){
+                if(!this.runFinished){
+                    this.runFinished = true;
+                    this.finishRun(this.judge.summary(), (this.runStart > this.start)? { start: this.runStart, end: this.end } : undefined);
+                }
+                this.drawResults();
+            }else{
+                this.drawAnimation();
+                this.drawTrail();
+            }
+
+            return;
+        }
+        if((this.end == 0) ||
+            (!this.highestNote) ||
+            (!this.lowestNote)){
+                return;
+        }
+
+        if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
+            this.darkMode = true;
+        }else{
+            this.darkMode = false;
+        }
+
+        this.drawBackground();
+
+        //this.canvasContext.fillStyle = "blue";
+        //this.drawNotes(this.ghostNotes)
+        
+        for(let voice of this.voices){
+            this.canvasContext.fillStyle = this.voiceColor(voice);
+            this.drawNotes(this.notes.filter((note) => (note.voice ?? "") === voice), 0)
+        }
+        this.drawChordNames(this.notes);
+        
+        const noteRange = this.highestNote - this.lowestNote;
+        const noteHeight = 1.0/(noteRange + 1);
+        const horPixelSize = (this.canvas.width / this.canvas.clientWidth);
+        const vertPixelSize = (this.canvas.height / this.canvas.clientHeight);
+
+        //Notes overlay
+        this.canvasContext.globalCompositeOperation = this.darkMode? "lighten" : "darken";
+        
+        this.canvasContext.fillStyle = "grey";
+        this.drawNotes(this.ghostNotes)
+
+        this.canvasContext.strokeStyle = "grey";
+        for(let i = 1; i < noteRange + 1; ++i){
+            const y = i * noteHeight;
+            
+            this.canvasContext.beginPath(); // Start a new path
+
+            const lineStart = [0, this.uvY(y)];
+            this.canvasContext.moveTo(...lineStart); // Move the pen to (30, 50)
+
+            const lineEnd = [this.uvX(1.0), this.uvY(y)];
+            this.canvasContext.lineTo(...lineEnd); // Draw a line to (150, 100)
+            
+            this.canvasContext.lineWidth = 1 * vertPixelSize;
+            this.canvasContext.stroke(); // Render the path
+        }
+        
+        for(let i = 0; i < this.end * 4; ++i){
+            const x = this.timeToX(i / 4.0);
+
+            this.canvasContext.beginPath(); // Start a new path
+
+            const lineStart = [this.uvX(x), 0];
+            this.canvasContext.moveTo(...lineStart); // Move the pen to (30, 50)
+
+            const lineEnd = [this.uvX(x), this.uvY(1.0)];
+            this.canvasContext.lineTo(...lineEnd); // Draw a line to (150, 100)
+            
+            this.canvasContext.lineWidth = ((i % 4 == 0)? 2 : 1) * horPixelSize * .70;
+            this.canvasContext.stroke(); // Render the path
+        }
+        
+
+        const notes = ["C","C#","D","D#","E","F","F#","G","G#","A","A#","B"];
+        const highestNotePos = notes.indexOf(this.highestNoteLetter);
+
+        this.canvasContext.fillStyle = "grey";
+        this.canvasContext.textAlign = "left";
+        for(let i = 0; i < noteRange + 1; ++i){
+            const y = (i + 1) * noteHeight; //I think text draws from the bottom up, for some reason
+            
+            this.canvasContext.beginPath(); // Start a new path
+
+            function wrapIndex(index, length) {
+                return ((index % length) + length) % length;
+            }
+
+            const letter = notes[wrapIndex(highestNotePos - (i), notes.length)];
+            const fontSize = 20;
+            const pos = [0, this.uvY(y) - ((this.uvY(noteHeight) - fontSize)/2.0)];
+            this.canvasContext.font = parseInt(fontSize*vertPixelSize) + "px Arial";
+            this.canvasContext.fillText(letter, ...pos);
+        }
+        this.canvasContext.globalCompositeOperation = "source-over";
+
+        this.drawTransport();
+        this.drawSelection();
+        this.drawTrail();
+    }
+
+    //What you just played, coming in at the right edge and sliding off to the left. Coloured by how it did if you're playing along.
+    drawTrail(){
+        const now = this.audioPlayer.now();
+        this.inputTrail = this.inputTrail.filter(({ end }) => end === undefined || now - end < this.trailSeconds);
+        if(this.highestNote === undefined) return;
+        const noteHeight = 1.0/(this.highestNote - this.lowestNote + 1);
+        const toX = (time) => 1 - (now - time) / this.trailSeconds;
+        for(let { noteValue, start, end, grade } of this.inputTrail){
+            if(noteValue > this.highestNote || noteValue < this.lowestNote) continue;
+            const xStart = Math.max(toX(start), 0);
+            const xEnd = toX(end ?? now);
+            this.canvasContext.globalAlpha = .3 + .5 * Math.max(xEnd, 0);
+            this.canvasContext.fillStyle = grade? this.gradeColors[grade] : "#3FA7D6";
+            this.canvasContext.fillRect(this.uvX(xStart), this.uvY(this.noteToY(noteValue) + noteHeight * .25), Math.max(this.uvX(xEnd - xStart), 4), this.uvY(noteHeight * .5));
+        }
+        this.canvasContext.globalAlpha = 1.0;
+    }
+
+    //Outlines the notes picked in edit mode, and the box you're dragging out
+    drawSelection(){
+        const pixelSize = (this.canvas.width / this.canvas.clientWidth);
+        const noteHeight = 1.0/(this.highestNote - this.lowestNote + 1);
+        this.canvasContext.strokeStyle = this.darkMode? "yellow" : "blue";
+        this.canvasContext.lineWidth = 2 * pixelSize;
+        for(let note of this.selection){
+            const xStart = this.timeToX(note.startTime);
+            this.canvasContext.strokeRect(this.uvX(xStart), this.uvY(this.noteToY(note.noteValue)), this.uvX(this.timeToX(note.endTime) - xStart), this.uvY(noteHeight));
+        }
+        if(this.selectionBox){
+            const { x0, y0, x1, y1 } = this.selectionBox;
+            this.canvasContext.setLineDash([4 * pixelSize, 4 * pixelSize]);
+            this.canvasContext.strokeRect(this.uvX(Math.min(x0, x1)), this.uvY(Math.min(y0, y1)), this.uvX(Math.abs(x1 - x0)), this.uvY(Math.abs(y1 - y0)));
+            this.canvasContext.setLineDash([]);
+        }
+    }
+
+    //The chord symbol over every chord that came from one
+    drawChordNames(notes){
+        const noteRange = this.highestNote - this.lowestNote;
+        const noteHeight = 1.0/(noteRange + 1);
+        const vertPixelSize = (this.canvas.height / this.canvas.clientHeight);
+        const fontSize = 16 * vertPixelSize;
+
+        const tops = new Map(); //chord -> its highest note
+        for(let note of notes){
+            if(!note.chord) continue;
+            const top = tops.get(note.chord);
+            if(!top || note.noteValue > top.noteValue) tops.set(note.chord, note);
+        }
+
+        this.canvasContext.fillStyle = this.darkMode? "white" : "black";
+        this.canvasContext.textAlign = "left";
+        this.canvasContext.font = parseInt(fontSize) + "px Arial";
+        for(let [chord, top] of tops){
+            const y = this.uvY((this.highestNote - top.noteValue) * noteHeight);
+            this.canvasContext.fillText(chord.name, this.uvX(this.timeToX(chord.startTime)), Math.max(y - 4 * vertPixelSize, fontSize));
+        }
+    }
+
+    //The A-B loop and the playhead, on top of the roll
+    drawTransport(){
+        const horPixelSize = (this.canvas.width / this.canvas.clientWidth);
+        if(this.loopStart !== undefined || this.loopEnd !== undefined){
+            const xStart = this.timeToX(this.loopStart ?? this.start);
+            const xEnd = this.timeToX(this.loopEnd ?? this.end);
+            this.canvasContext.fillStyle = this.loopEnabled? "rgba(255, 200, 0, .25)" : "rgba(128, 128, 128, .2)";
+            this.canvasContext.fillRect(this.uvX(xStart), 0, this.uvX(xEnd - xStart), this.uvY(1.0));
+        }
+
+        if(this.paused || this.position > this.start){
+            const x = this.timeToX(this.position);
+            this.canvasContext.strokeStyle = "red";
+            this.canvasContext.lineWidth = 3 * horPixelSize;
+            this.canvasContext.beginPath();
+            this.canvasContext.moveTo(this.uvX(x), 0);
+            this.canvasContext.lineTo(this.uvX(x), this.uvY(1.0));
+            this.canvasContext.stroke();
+        }
+    }
+
+    //The per note breakdown, shown once the song is over
+    drawResults(){
+        this.drawBackground();
+
+        const noteRange = this.highestNote - this.lowestNote;
+        const noteHeight = 1.0/(noteRange + 1);
+        for(let note of this.targetNotes()){
+            const grade = this.judge.resultFor(note)?.grade ?? "miss";
+            this.canvasContext.fillStyle = this.gradeColors[grade];
+            this.drawNotes([note], 0);
+        }
+
+        const summary = this.judge.summary();
+        const vertPixelSize = (this.canvas.height / this.canvas.clientHeight);
+        this.canvasContext.textAlign = "center";
+        this.canvasContext.font = parseInt(this.canvas.height * .2) + "px Arial";
+        if(summary.counts.miss == 0){
+            //You win?
+            this.canvasContext.fillStyle = "yellow";
+            this.canvasContext.fillText("You Win!", ...[this.canvas.width / 2.0, this.canvas.height * .4]);
+        }else{
+            //You lose?
+            this.canvasContext.fillStyle = this.gradeColors.miss;
+            this.canvasContext.fillText(summary.hits+"/"+summary.total, ...[this.canvas.width / 2.0, this.canvas.height * .4]);
+        }
+
+        const fontSize = 24 * vertPixelSize;
+        this.canvasContext.font = parseInt(fontSize) + "px Arial";
+        const lines = [
+            ...["perfect", "good", "late", "miss"].map((grade) => [grade, grade[0].toUpperCase() + grade.slice(1) + ": " + summary.counts[grade]]),
+            [null, "Accuracy: " + (summary.accuracy * 100).toFixed(1) + "%"],
+            [null, "Average timing: " + (summary.meanOffset * 1000).toFixed(0) + "ms"],
+        ];
+        if(summary.dynamics !== undefined){
+            lines.push([null, "Dynamics: " + (summary.dynamics * 100).toFixed(1) + "%"]);
+        }
+        lines.forEach(([grade, text], i) => {
+            this.canvasContext.fillStyle = grade? this.gradeColors[grade] : "grey";
+            this.canvasContext.fillText(text, this.canvas.width / 2.0, this.canvas.height * .5 + (i + 1) * fontSize * 1.2);
+        });
+    }
+
+    //Draw gouls
+    drawAnimation(shake = 5.0){
+        this.drawBackground();
+
+        //This is in game space, from (0,0) in the top left corner, to (1,1) in the bottom right corner.
+        const noteRange = this.highestNote - this.lowestNote;
+        const noteHeight = 1.0/(noteRange + 1);
+
+        let salt = 0;
+        this.canvasContext.textAlign = "center";
+        this.canvasContext.fillStyle = this.darkMode? "black" : "white";
+        for(let note of this.targetNotes()){
+            let y = (this.highestNote - note.noteValue) * noteHeight;  //This should always yield a >= 0 value
+            const runUpSpeed = 5.0;
+            const time = this.currentSongTime();
+            let xStart = (this.invLerp((note.startTime - time) * (120.0/this.bpm), this.start, this.end)) * runUpSpeed;
+            const xEnd = this.invLerp(note.endTime + this.startDelay * (120.0/this.bpm), this.start, this.end) * runUpSpeed
+
+            let fontSize = 40;
+            const vertPixelSize = (this.canvas.height / this.canvas.clientHeight);
+            this.canvasContext.font = parseInt(fontSize*vertPixelSize) + "px serif";
+            
+            function wrapIndex(index, length) {
+                return ((index % length) + length) % length;
+            }
+
+            function absBounce(x, floor){
+                return Math.abs(x - floor) + floor;
+            }
+
+            const result = this.judge.resultFor(note);
+            let monsterSize = 72;
+            if(result && result.grade != "miss"){
+                const swordDistance = 0.0005;
+                if(xStart < swordDistance){
+                    xStart = absBounce(xStart, swordDistance);
+                    y += xStart * xStart;
+                }
+            }else if(result){
+                //It got past you
+                monsterSize = 108;
+            }
+            
+            const rect = [this.uvX(xStart) + this.uvX(.05), this.uvY(y) + (this.canvas.height / 500.0)*shake*Math.sin(1.5*note.startTime + this.audioPlayer.now()), this.uvX(xEnd - xStart), this.uvY(noteHeight)];
+            const monsterImg = this.monsterImages[this.monsters[wrapIndex(note.noteValue + (salt++ * 3), this.monsters.length)]];
+            if(rect[0] <= this.uvX(1.1) && monsterImg) {
+                this.canvasContext.drawImage(
+                    monsterImg,
+                    rect[0] - monsterSize/2,  // center the image horizontally
+                    rect[1] - monsterSize/2,  // center the image vertically
+                    monsterSize,
+                    monsterSize
+                );
+            }
+            if(result && result.grade != "miss" && (time - result.hitTime) < .5){
+                this.canvasContext.fillStyle = this.gradeColors[result.grade];
+                this.canvasContext.font = parseInt(20*vertPixelSize) + "px Arial";
+                this.canvasContext.fillText(result.grade.toUpperCase(), this.uvX(.05), rect[1] - monsterSize/2);
+            }
+            
+            /*this.canvasContext.beginPath();
+            this.canvasContext.arc(rect[0], rect[1], 50, 0, 2 * Math.PI);
+            this.canvasContext.stroke();*/
+        }
+    }
+
+    play(){
+        if(this.notes.length < 1 && this.ghostNotes.length < 1) return;
+        this.shuffleMonsters();
+        this.audioPlayer.resume();
+
+        let time = this.position;
+        const loop = this.activeLoop();
+        if(loop && (time < loop.start || time >= loop.end)){
+            time = loop.start;
+        }
+        if(this.paused){
+            this.judge.rewind(time);
+        }else{
+            this.startRun(time);
+        }
+        if(time <= this.start){
+            time -= this.startDelay; //A little run up so the first monster doesn't jump out at you
+        }
+
+        this.playing = true;
+        this.paused = false;
+        this.restartScheduler(time);
+        this.sword.style.setProperty("display", "block");
+    }
+
+    //Like stop, but play picks up where you left off
+    pause(){
+        if(!this.playing) return;
+        this.position = Math.max(this.currentSongTime(), this.start);
+        this.playing = false;
+        this.paused = true;
+        this.sword.style.setProperty("display", "none");
+
+        this.scheduler.stop();
+        this.audioPlayer.stopAll()
+    }
+
+    stop(){
+        this.playing = false;
+        this.paused = false;
+        this.position = this.start;
+        this.sword.style.setProperty("display", "none");
+
+        this.scheduler.stop();
+        this.audioPlayer.panic()
+    }
+
+    playStop(){
+        if(this.playing){
+            this.pause();
+        }else{
+            this.play();
+        }
+    }
+}
+
+const synthPresets = {
+    "Classic": AudioPlayer.defaultVoice(),
+    "Piano-ish": {
+        ...AudioPlayer.defaultVoice(),
+        waveform: 'triangle',
+        attack: 0.005, decay: 1.5, sustain: 0.15, release: 0.35,
+        filterCutoff: 800, filterResonance: 0.7,
+        filterEnvAmount: 2.5, filterAttack: 0.005, filterDecay: 0.8, filterSustain: 0.2,
+        velocityToCutoff: 0.8,
+        unison: 2, detune: 3
+    },
+    "Organ": {
+        ...AudioPlayer.defaultVoice(),
+        waveform: 'square',
+        attack: 0.02, decay: 0.1, sustain: 1.0, release: 0.08,
+        filterCutoff: 2500, filterResonance: 0.5,
+        velocityToCutoff: 0,
+        unison: 2, detune: 5,
+        vibratoRate: 6, vibratoDepth: 8
+    },
+    "Pluck": {
+        ...AudioPlayer.defaultVoice(),
+        waveform: 'sawtooth',
+        attack: 0.002, decay: 0.3, sustain: 0.0, release: 0.15,
+        filterCutoff: 500, filterResonance: 3,
+        filterEnvAmount: 4, filterAttack: 0.002, filterDecay: 0.15, filterSustain: 0.0,
+        velocityToCutoff: 0.7
+    },
+    "Pad": {
+        ...AudioPlayer.defaultVoice(),
+        waveform: 'sawtooth',
+        attack: 0.6, decay: 0.5, sustain: 0.8, release: 1.2,
+        filterCutoff: 900, filterResonance: 1,
+        filterEnvAmount: 1.5, filterAttack: 0.8, filterDecay: 1.0, filterSustain: 0.5,
+        velocityToCutoff: 0.3,
+        unison: 3, detune: 12,
+        vibratoRate: 4.5, vibratoDepth: 5
+    }
+};
+
+//The step entry switch, and keeping it in tempo for the hold-to-set-length mode
+function setupStepEntry(stepEntry, game, recorder){
+    const enabled = document.getElementById("stepEntryEnabled");
+    const lengthFrom = document.getElementById("stepEntryLength");
+    enabled?.addEventListener('change', () => stepEntry.setEnabled(enabled.checked));
+    lengthFrom?.addEventListener('change', () => stepEntry.lengthFrom = lengthFrom.value);
+    stepEntry.bpm = game.bpm;
+    game.addEventListener('tempochange', (e) => stepEntry.bpm = e.detail.bpm);
+    recorder.addEventListener('statechange', (e) => stepEntry.suspended = e.detail.recording);
+}
+
+//Record button: counts you in, records, and drops what you played in at the cursor as one edit
+function setupRecorder(recorder, game, editor){
+    const recordButton = document.getElementById("record");
+    const countIn = document.getElementById("countIn");
+    const grid = document.getElementById("recordGrid");
+    const metronome = document.getElementById("metronome");
+    if(!recordButton) return;
+
+    recorder.addEventListener('statechange', (e) => {
+        recordButton.textContent = e.detail.recording? "⏹ Stop recording" : "⏺ Record";
+        recordButton.classList.toggle("recording", e.detail.recording);
+    });
+    recordButton.addEventListener('click', () => {
+        if(!recorder.recording){
+            if(game.playing) game.stop();
+            recorder.start({ bpm: game.bpm, countInBeats: parseInt(countIn?.value ?? 0), metronome: metronome?.checked });
+            return;
+        }
+        //On its own lines, wherever the cursor is, picking up from what the script is on there
+        const session = editor.session;
+        const cursor = editor.getCursorPosition();
+        const script = session.getValue();
+        const index = session.getDocument().positionToIndex(cursor);
+        const state = scriptStateAt(script, index);
+        //An empty script can start using dynamics without changing anything else
+        if(script.trim() === "") state.dynamics = true;
+        const text = recorder.stop(parseFloat(grid?.value ?? 1/8), state);
+        if(!text) return;
+        const line = session.getLine(cursor.row);
+        const before = (cursor.column > 0)? "\n" : "";
+        let after = (cursor.column < line.length)? "\n" : "";
+        //Whatever comes next still expects the octave, step and dynamic it had before
+        if(script.slice(index).trim() !== ""){
+            const block = before + text + "\n";
+            const changed = scriptStateAt(script.slice(0, index) + block + script.slice(index), index + block.length);
+            const restore = scriptStateLines(state, changed, script.slice(index));
+            if(restore.length > 0) after = "\n" + restore.join("\n") + after;
+        }
+        session.insert(cursor, before + text + after);
+        editor.focus();
+    });
+}
+
+//How much of the 88 keys the piano shows. Sticks around in localStorage.
+function setupPianoRange(piano){
+    const storageKey = "keyboardWarrior.pianoRange";
+    const rangeSelect = document.getElementById("pianoRange");
+    const useRange = (value) => {
+        const [low, high] = value.split("-").map((note) => parseInt(note));
+        if(isNaN(low) || isNaN(high)) return;
+        piano.setRange(low, high);
+    };
+    const saved = localStorage.getItem(storageKey);
+    if(saved){
+        useRange(saved);
+        if(rangeSelect) rangeSelect.value = saved;
+    }
+    rangeSelect?.addEventListener('change', () => {
+        useRange(rangeSelect.value);
+        localStorage.setItem(storageKey, rangeSelect.value);
+    });
+}
+
+//Which MIDI input and channel to listen to, and the velocity curve. Remembers the input by name, so it finds it again after a replug.
+function setupMIDIInputOptions(midiInput){
+    const storageKey = "keyboardWarrior.midiIn";
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(storageKey)) ?? {};
+    } catch (e) {
+        console.warn(e);
+    }
+    midiInput.channel = saved.channel ?? -1;
+    midiInput.velocityCurve = saved.velocityCurve ?? "linear";
+
+    const container = document.getElementById("midiIn");
+    const portSelect = document.getElementById("midiInPort");
+    const channelSelect = document.getElementById("midiInChannel");
+    const curveSelect = document.getElementById("velocityCurve");
+    if(channelSelect){
+        channelSelect.appendChild(new Option("All", -1));
+        for(let channel = 0; channel < 16; ++channel){
+            channelSelect.appendChild(new Option(channel + 1, channel));
+        }
+        channelSelect.value = midiInput.channel;
+    }
+    if(curveSelect) curveSelect.value = midiInput.velocityCurve;
+
+    const save = () => {
+        localStorage.setItem(storageKey, JSON.stringify({ port: saved.port, channel: midiInput.channel, velocityCurve: midiInput.velocityCurve }));
+    };
+
+    midiInput.addEventListener('portschange', (e) => {
+        const inputs = e.detail.inputs;
+        const wanted = inputs.find((input) => input.name === saved.port);
+        if(wanted && wanted.id !== midiInput.portId) midiInput.setPort(wanted.id);
+        if(portSelect){
+            portSelect.replaceChildren(new Option("All inputs", ""), ...inputs.map((input) => new Option(input.name, input.id)));
+            //Still waiting on the one you picked to come back
+            if(saved.port && !wanted && midiInput.portId) portSelect.appendChild(new Option(saved.port + " (unplugged)", midiInput.portId));
+            portSelect.value = midiInput.portId;
+        }
+        if(container) container.hidden = false;
+    });
+    portSelect?.addEventListener('change', () => {
+        midiInput.setPort(portSelect.value);
+        saved.port = midiInput.inputs().find((input) => input.id === portSelect.value)?.name;
+        save();
+    });
+    channelSelect?.addEventListener('change', () => {
+        midiInput.setChannel(parseInt(channelSelect.value));
+        save();
+    });
+    curveSelect?.addEventListener('change', () => {
+        midiInput.velocityCurve = curveSelect.value;
+        save();
+    });
+}
+
+//Picking where notes go out. Shows up once Connect MIDI has access, and remembers the port by name.
+function setupMIDIOutput(audioPlayer, midiInput){
+    const storageKey = "keyboardWarrior.midiOut";
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(storageKey)) ?? {};
+    } catch (e) {
+        console.warn(e);
+    }
+    const router = new MIDIOutputRouter();
+    router.channel = saved.channel ?? 0;
+    router.synth = saved.synth ?? true;
+    audioPlayer.setMIDIOut(router);
+
+    const container = document.getElementById("midiOut");
+    const portSelect = document.getElementById("midiOutPort");
+    const channelSelect = document.getElementById("midiOutChannel");
+    const synthCheckbox = document.getElementById("midiOutSynth");
+    if(channelSelect){
+        for(let channel = 0; channel < 16; ++channel){
+            channelSelect.appendChild(new Option(channel + 1, channel));
+        }
+        channelSelect.value = router.channel;
+    }
+    if(synthCheckbox) synthCheckbox.checked = router.synth;
+
+    const save = () => {
+        localStorage.setItem(storageKey, JSON.stringify({ port: router.port?.name ?? saved.port, channel: router.channel, synth: router.synth }));
+    };
+
+    let midiAccess = undefined;
+    const showPorts = () => {
+        if(!portSelect) return;
+        const outputs = [...midiAccess.outputs.values()];
+        portSelect.replaceChildren(new Option("Off", ""), ...outputs.map((output) => new Option(output.name, output.id)));
+        //The port we were using went away, or the one we used last time showed up
+        if(router.port && !outputs.includes(router.port)) router.setPort(undefined);
+        if(!router.port && saved.port) router.setPort(outputs.find((output) => output.name === saved.port));
+        portSelect.value = router.port?.id ?? "";
+        if(container) container.hidden = false;
+    };
+    midiInput.addEventListener('access', (e) => {
+        midiAccess = e.detail.midiAccess;
+        midiAccess.addEventListener('statechange', (e) => {
+            if(e.port.type === "output") showPorts();
+        });
+        showPorts();
+    });
+
+    portSelect?.addEventListener('change', () => {
+        router.setPort(midiAccess?.outputs.get(portSelect.value));
+        saved.port = router.port?.name;
+        save();
+    });
+    channelSelect?.addEventListener('change', () => {
+        router.setChannel(parseInt(channelSelect.value));
+        save();
+    });
+    synthCheckbox?.addEventListener('change', () => {
+        router.synth = synthCheckbox.checked;
+        audioPlayer.stopAll();
+        save();
+    });
+    document.getElementById("midiPanic")?.addEventListener('click', () => audioPlayer.panic());
+    return router;
+}
+
+//The Synth Options panel. Whatever you pick (and any presets you save) sticks around in localStorage.
+function setupSynthOptions(audioPlayer){
+    const storageKey = "keyboardWarrior.synth";
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(storageKey)) ?? {};
+    } catch (e) {
+        console.warn(e);
+    }
+    const userPresets = saved.userPresets ?? {};
+    const allPresets = () => ({ ...synthPresets, ...userPresets });
+
+    const presetSelect = document.getElementById("synthPreset");
+    const volumeInput = document.getElementById("volume");
+    const voiceInputs = document.querySelectorAll("[data-voice]");
+
+    const save = () => {
+        localStorage.setItem(storageKey, JSON.stringify({
+            preset: presetSelect?.value,
+            voice: audioPlayer.voice,
+            volume: audioPlayer.volume,
+            userPresets
+        }));
+    };
+    const showVoice = () => {
+        voiceInputs.forEach((input) => {
+            input.value = audioPlayer.voice[input.dataset.voice];
+        });
+    };
+    const fillPresets = () => {
+        if(!presetSelect) return;
+        presetSelect.replaceChildren(...Object.keys(allPresets()).map((name) => {
+            const option = document.createElement("option");
+            option.value = name;
+            option.textContent = name;
+            return option;
+        }));
+    };
+
+    fillPresets();
+    audioPlayer.setPresets(allPresets());
+    audioPlayer.setVoice(saved.voice ?? allPresets()[saved.preset] ?? synthPresets["Classic"]);
+    if(presetSelect && saved.preset in allPresets()) presetSelect.value = saved.preset;
+    if(saved.volume !== undefined) audioPlayer.setVolume(saved.volume);
+    if(volumeInput) volumeInput.value = audioPlayer.volume * 100;
+    showVoice();
+
+    presetSelect?.addEventListener('change', () => {
+        audioPlayer.setVoice(allPresets()[presetSelect.value]);
+        showVoice();
+        save();
+    });
+
+    voiceInputs.forEach((input) => {
+        input.addEventListener('input', () => {
+            const value = (input.tagName === "SELECT")? input.value : parseFloat(input.value);
+            audioPlayer.setVoice({ ...audioPlayer.voice, [input.dataset.voice]: value });
+            save();
+        });
+    });
+
+    volumeInput?.addEventListener('input', (e) => {
+        audioPlayer.setVolume(e.target.value / 100);
+        save();
+    });
+
+    document.getElementById("synthPresetSave")?.addEventListener('click', () => {
+        const name = prompt("Preset name:", presetSelect?.value);
+        if(!name) return;
+        userPresets[name] = { ...audioPlayer.voice };
+        fillPresets();
+        audioPlayer.setPresets(allPresets());
+        if(presetSelect) presetSelect.value = name;
+        save();
+    });
+
+    //For a song that brings its own sound. It doesn't get saved over yours.
+    return (voice, volume) => {
+        audioPlayer.setVoice({ ...AudioPlayer.defaultVoice(), ...voice });
+        if(volume !== undefined) audioPlayer.setVolume(volume);
+        if(volumeInput) volumeInput.value = audioPlayer.volume * 100;
+        showVoice();
+    };
+}
+
+//Loading a .sf2 from the file picker, or dropped anywhere on the page. Everything stays local.
+function setupSoundFont(audioPlayer){
+    const fileInput = document.getElementById("soundFontFile");
+    const presetSelect = document.getElementById("soundFontPreset");
+    const status = document.getElementById("soundFontStatus");
+    let soundFont = undefined;
+
+    const selectPreset = () => {
+        const presetIndex = parseInt(presetSelect?.value);
+        audioPlayer.setInstrument(isNaN(presetIndex)? undefined : soundFont, presetIndex);
+    };
+
+    const load = async (file) => {
+        if(status) status.textContent = "Loading " + file.name + "...";
+        try {
+            soundFont = SoundFont.parse(await file.arrayBuffer());
+        } catch (e) {
+            console.warn(e);
+            if(status) status.textContent = "Couldn't load " + file.name + ": " + e;
+            return;
+        }
+        if(status) status.textContent = file.name;
+
+        if(presetSelect){
+            const synthOption = document.createElement("option");
+            synthOption.value = "";
+            synthOption.textContent = "Synth";
+            presetSelect.replaceChildren(synthOption, ...soundFont.presets.map((preset, i) => {
+                const option = document.createElement("option");
+                option.value = i;
+                option.textContent = preset.bank + ":" + preset.program + " " + preset.name;
+                return option;
+            }));
+            presetSelect.value = (soundFont.presets.length > 0)? 0 : "";
+        }
+        selectPreset();
+    };
+
+    fileInput?.addEventListener('change', () => {
+        if(fileInput.files[0]) load(fileInput.files[0]);
+    });
+    presetSelect?.addEventListener('change', selectPreset);
+
+    const isSoundFont = (file) => file.name.toLowerCase().endsWith(".sf2");
+    document.addEventListener('dragover', (e) => {
+        if(e.dataTransfer.types.includes("Files")) e.preventDefault();
+    });
+    document.addEventListener('drop', (e) => {
+        const file = Array.from(e.dataTransfer.files).find(isSoundFont);
+        if(!file) return;
+        e.preventDefault();
+        load(file);
+    });
+}
+
+//Syntax highlighting for the music script
+function createMusicScriptMode(){
+    const oop = ace.require("ace/lib/oop");
+    const TextMode = ace.require("ace/mode/text").Mode;
+    const TextHighlightRules = ace.require("ace/mode/text_highlight_rules").TextHighlightRules;
+
+    function MusicScriptHighlightRules(){
+        const directives = musicScriptDirectives.filter((directive) => directive !== "rest");
+        this.$rules = {
+            start: [
+                { token: "comment", regex: "//.*$" },
+                { token: "keyword", regex: "^\\s*(?:dynamic\\s+)?(?:" + Object.keys(musicScriptDynamics).filter((mark) => mark !== "f").join("|") + ")\\s*$" },
+                { token: "keyword", regex: "^\\s*dynamic\\s+f\\s*$" },
+                { token: "entity.name.function", regex: "^\\s*[^\\s/]+:\\s*$" }, //label:
+                { token: "keyword", regex: "\\b(?:" + directives.map((directive) => directive.replaceAll(".", "\\.")).join("|") + ")(?=\\s|$)" },
+                { token: "variable.language", regex: "\\brest(?::[\\d./]+)?(?=\\s|$)" },
+                { token: "keyword.operator", regex: "[<>]+(?=\\s|$)" },
+                { token: "constant.numeric", regex: "[+-]?\\d+(?:\\.\\d+)?(?:/\\d+(?:\\.\\d+)?)?(?=\\s|$)" },
+                { token: "support.constant", regex: musicScriptNotePattern + "(?=\\s|$)" },
+                { token: "support.function", regex: musicScriptChordRegex.source.slice(1, -1).replace(/\((?!\?)/g, "(?:") + "(?=\\s|$)" },
+                { token: "text", regex: "\\S+" } //Eat the rest of the word, so notes don't get picked out of the middle of one
+            ]
+        };
+        this.normalizeRules();
+    }
+    oop.inherits(MusicScriptHighlightRules, TextHighlightRules);
 
-            if (labelName in labels) {
-                const labelIndex = labels[labelName];
-                const sectionToRepeat = lines.slice(labelIndex + 1, i);
-                
-                // Add the section N times at current position
-                for (let j = 0; j < repeatCount; j++) {
-                    expandedLines.push(...sectionToRepeat);
-                }
+    function MusicScriptMode(){
+        this.HighlightRules = MusicScriptHighlightRules;
+    }
+    oop.inherits(MusicScriptMode, TextMode);
+    MusicScriptMode.prototype.lineCommentStart = "//";
+    MusicScriptMode.prototype.$id = "ace/mode/keyboardwarrior";
+
+    return new MusicScriptMode();
+}
+
+//Chord symbols for the root you've started typing. The ones that would read as a note (C7, A5) go in brackets.
+function scriptChordCompletions(prefix){
+    if (!/^[A-G]/.test(prefix)) return [];
+    return musicScriptNoteNames.filter((root) => root[0] === prefix[0]).flatMap((root) =>
+        Object.keys(musicScriptChordQualities).filter((quality) => quality !== "").map((quality) => {
+            const name = root + quality;
+            const bracketed = parseScriptNote(name) !== undefined;
+            return {
+                caption: name,
+                value: bracketed? "[" + name + "]" : name,
+                meta: "chord",
+                score: 0,
+                docText: bracketed? name + " on its own is the note " + root + " in octave " + quality + ", so the chord goes in brackets: [" + name + "]"
+                    : "Chord symbol. Add /B for a bass note, ^1 for an inversion, and a length like a note: " + name + ":1/2"
+            };
+        }));
+}
+
+//Directives, note names, chord symbols and your labels, in the autocomplete popup
+const musicScriptCompleter = {
+    getCompletions(editor, session, pos, prefix, callback){
+        const lines = session.getValue().split("\n").map((line) => line.trim());
+        const labels = [
+            ...lines.filter((line) => line.endsWith(":")).map((line) => line.slice(0, -1)),
+            ...lines.filter((line) => line.startsWith("phrase ")).map((line) => line.split(/\s+/)[1])
+        ];
+        callback(null, [
+            ...musicScriptDirectives.map((directive) => ({ caption: directive, value: directive, meta: "directive", score: 3 })),
+            ...labels.map((label) => ({ caption: label, value: label, meta: "label", score: 2 })),
+            ...Object.keys(musicScriptDynamics).map((dynamic) => ({ caption: formatScriptDynamic(dynamic), value: formatScriptDynamic(dynamic), meta: "dynamic", score: 2 })),
+            ...musicScriptNoteNames.map((note) => ({ caption: note, value: note, meta: "note", score: 1 })),
+            ...scriptChordCompletions(prefix)
+        ]);
+    }
+};
+
+function setupMusicScriptEditor(editor){
+    editor.session.setMode(createMusicScriptMode());
+
+    const languageTools = ace.require("ace/ext/language_tools");
+    if(languageTools){
+        editor.setOptions({ enableBasicAutocompletion: [musicScriptCompleter], enableLiveAutocompletion: [musicScriptCompleter] });
+    }
+
+    //Rewrites the script in another key. It's one edit, so undo puts it back.
+    editor.commands.addCommand({
+        name: "transposeScript",
+        bindKey: { win: "Ctrl-Alt-K", mac: "Command-Alt-K" },
+        exec: (editor) => {
+            const target = prompt("Which key? Like D major, or a number of semitones like -3");
+            if(!target) return;
+            const result = transposeMusicScript(editor.getValue(), target);
+            if(!result){
+                alert("I don't know the key " + target);
+                return;
+            }
+            const Range = ace.require("ace/range").Range;
+            const session = editor.getSession();
+            session.replace(new Range(0, 0, session.getLength(), Infinity), result.text);
+            if(!result.exact){
+                alert("Some notes didn't land where they should. Check the octaves in your phrases and repeats.");
             }
-            i++;
-            continue;
-        } else if (!line.endsWith(':')) { // Skip label definitions
-            expandedLines.push(line);
         }
-        i++;
-    }
+    });
+    document.getElementById("transposeScript")?.addEventListener('click', () => {
+        editor.execCommand("transposeScript");
+    });
+}
 
-    return expandedLines;
+//Lights up the keys for the notes coming up in the next beat while you play along
+function setupPianoHints(game, piano){
+    const lookAhead = .5;
+    let lastNotes = "";
+    const update = () => {
+        const time = game.currentSongTime();
+        const notes = game.playing? new Set(game.targetNotes()
+            .filter((note) => note.startTime >= time - .05 && note.startTime < time + lookAhead && !game.judge.resultFor(note))
+            .map((note) => note.noteValue)) : new Set();
+        const key = [...notes].sort().join();
+        if(key !== lastNotes){
+            lastNotes = key;
+            piano.setUpcoming(notes);
+        }
+        window.requestAnimationFrame(update);
+    };
+    update();
 }
 
-function parseMusicScript(input) {
-    let notes = [];
-    let octave = 0;
-    let stepDuration = .25;
-    let currentTime = 0;
+//Lights up the lines that the notes you're hearing came from
+function setupPlaybackHighlight(game, editor){
+    const Range = ace.require("ace/range").Range;
+    const session = editor.getSession();
+    let markers = [];
+    let lastRows = "";
+    const update = () => {
+        const time = game.currentSongTime();
+        const rows = game.playing? [...new Set(game.notes
+            .filter((note) => note.sourceRow !== undefined && note.startTime <= time && note.endTime > time)
+            .map((note) => note.sourceRow))] : [];
+        if(rows.join() !== lastRows){
+            lastRows = rows.join();
+            markers.forEach((marker) => session.removeMarker(marker));
+            markers = rows.map((row) => session.addMarker(new Range(row, 0, row, 1), "musicScript-playing", "fullLine"));
+        }
+        window.requestAnimationFrame(update);
+    };
+    update();
+}
 
-    try {
-        const lines = preprocessMusicScript(input);
-
-        lines.forEach(line => {
-            if (line.startsWith('octave')) {
-                if (!(line.includes(" "))) return;
-                octave = parseInt(line.split(" ")[1])
-            } else if (line.startsWith('step')) {
-                if (!(line.includes(" "))) return;
-                if (line.includes('/')) {
-                    const stepParts = line.split(' ');
-                    const stepFraction = stepParts[1]?.split('/');
-                    stepDuration = 1 / (parseFloat(stepFraction[1]) / parseFloat(stepFraction[0]));
-                } else {
-                    const old = stepDuration
-                    stepDuration = parseFloat(line.split(' ')[1])
-                    if (isNaN(stepDuration)) stepDuration = old
-                }
-            } else if (line.trim() !== '') {
-                if (line.trim() === 'rest') {
-                    currentTime += stepDuration;
-                } else {
-                    const octaveStructure = [
-                        //Octave 0
-                        { note: 60, black: false, key: "C" }, // C
-                        { note: 61, black: true, key: "C#" }, // C#
-                        { note: 62, black: false, key: "D" }, // D
-                        { note: 63, black: true, key: "D#" }, // D#
-                        { note: 64, black: false, key: "E" }, // E
-                        { note: 65, black: false, key: "F" }, // F
-                        { note: 66, black: true, key: "F#" }, // F#
-                        { note: 67, black: false, key: "G" }, // G
-                        { note: 68, black: true, key: "G#" }, // G#
-                        { note: 69, black: false, key: "A" }, // A
-                        { note: 70, black: true, key: "A#" }, // A#
-                        { note: 71, black: false, key: "B" },  // B
-                    ];
-
-                    // Process each note on the line
-                    const noteLetters = line.split(' ').filter(n => n);
-                    let isFirstNote = true;
-                    
-                    noteLetters.forEach(noteLetter => {
-                        const note = octaveStructure.find(n => n.key.toUpperCase() === noteLetter.toUpperCase());
-                        if (!note) {
-                            console.error("Note not found:", noteLetter);
-                            throw "Note not found: " + noteLetter;
-                        }
-                        const noteValue = (note?.note) + ((octave - 4) * 12);
+//Edit mode for the roll: click an empty spot to add a note, drag notes to move them, drag their right edge to make them longer or shorter,
+//shift or ctrl click to pick more than one, drag over empty space to box them in, right click or Delete to get rid of them.
+//Every change goes back into the script as a single edit, so Ctrl+Z in the editor takes it back and the roll follows along.
+class RollEditor {
+    constructor(game, editor){
+        this.game = game;
+        this.editor = editor;
+        this.canvas = game.canvas;
+        this.enabled = false;
+        this.snap = 1/8; //In song time. 0 is no snapping.
+        this.drag = undefined; //{ mode: "move" | "resize" | "empty", x, y, originals: Map of note -> where it was, toggle }
 
-                        notes.push({
-                            noteValue,
-                            noteLetter,
-                            startTime: currentTime,
-                            endTime: currentTime + stepDuration
-                        });
-                    });
-                    
-                    currentTime += stepDuration;
-                }
+        this.canvas.tabIndex = 0; //So Delete works once you've clicked it
+        this.canvas.addEventListener('mousedown', (e) => {
+            if(this.enabled && !this.game.playing && e.button === 0) this.mouseDown(e);
+        });
+        this.canvas.addEventListener('mousemove', (e) => {
+            if(this.enabled && !this.drag) this.hover(e);
+        });
+        window.addEventListener('mousemove', (e) => {
+            if(this.drag) this.mouseMove(e);
+        });
+        window.addEventListener('mouseup', (e) => {
+            if(this.drag) this.mouseUp(e);
+        });
+        this.canvas.addEventListener('contextmenu', (e) => {
+            if(!this.enabled || this.game.playing) return;
+            e.preventDefault();
+            const note = this.noteAt(this.position(e));
+            if(note) this.remove(this.game.selection.includes(note)? this.game.selection : [note]);
+        });
+        this.canvas.addEventListener('keydown', (e) => {
+            if(!this.enabled || this.game.playing) return;
+            if((e.key === "Delete" || e.key === "Backspace") && this.game.selection.length > 0){
+                e.preventDefault();
+                this.remove(this.game.selection);
+            }else if(e.key === "Escape"){
+                this.game.selection = [];
             }
         });
-    } catch (e) {
-        console.warn(e)
-        return []
     }
-    return notes
-}
 
-class Game{
-    constructor(canvas){
-        this.audioPlayer = new AudioPlayer();
-        this.canvas = canvas
-        this.canvasContext = canvas.getContext("2d");
-        this.monsters = ["1f479", "1f47a", "1f47b", "1f480", "1f47d", "1f916", "1f47f", "1f608", "1f9db", "1f9df", "1f9d9", "1f577", "1f987"]; //Array.from("👹👺👻💀👽🤖👿😈🧛🧟🧙🕷️🦇").filter((str)=>str.length > 1)
-        this.notes = []
-        this.ghostNotes = []
-        this.notesQueued = []
-        this.start = 0;
-        this.end =  1;
-        this.darkMode = false;
-        this.playing = false;
-        this.startTime = Date.now()
-        this.bpm = 120.0;
-        this.startDelay = .5;
-        this.sword = document.getElementById("sword");
-        this.monsterImages = {};
-        this.loadMonsterImages();
+    setEnabled(enabled){
+        this.enabled = enabled;
+        this.canvas.classList.toggle("editing", enabled);
+        if(!enabled){
+            this.game.selection = [];
+            this.game.selectionBox = undefined;
+            this.canvas.style.cursor = "";
+        }
+    }
 
-        this.calculateRanges(); //sets highestNote, lowestNote, highestNoteLetter, lowestNoteLetter, end
-    
+    //Roll space, (0,0) in the top left corner to (1,1) in the bottom right
+    position(e){
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+            y: Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), .9999)
+        };
     }
 
-    loadMonsterImages() {
-        this.monsters.forEach(monsterId => {
-            const img = new Image();
-            img.src = `./twemoji/assets/svg/${monsterId}.svg`;
-            this.monsterImages[monsterId] = img;
+    snapTime(time){
+        return this.snap? Math.round(time / this.snap) * this.snap : time;
+    }
+
+    //The last note drawn on top wins
+    noteAt({ x, y }){
+        const noteValue = this.game.yToNote(y);
+        const time = this.game.xToTime(x);
+        return this.game.notes.findLast((note) => note.noteValue === noteValue && note.startTime <= time && note.endTime > time);
+    }
+
+    //Close enough to a note's right edge to grab it
+    onEdge(note, { x }){
+        return (this.game.timeToX(note.endTime) - x) * this.canvas.clientWidth < 8;
+    }
+
+    hover(e){
+        const position = this.position(e);
+        const note = this.noteAt(position);
+        this.canvas.style.cursor = !note? "crosshair" : this.onEdge(note, position)? "ew-resize" : "move";
+    }
+
+    mouseDown(e){
+        e.preventDefault();
+        this.canvas.focus();
+        const position = this.position(e);
+        const note = this.noteAt(position);
+        const toggle = e.shiftKey || e.ctrlKey || e.metaKey;
+        if(!note){
+            this.drag = { mode: "empty", ...position, toggle };
+            return;
+        }
+        if(toggle){
+            const selection = this.game.selection;
+            this.game.selection = selection.includes(note)? selection.filter((picked) => picked !== note) : [...selection, note];
+            if(!this.game.selection.includes(note)) return;
+        }else if(!this.game.selection.includes(note)){
+            this.game.selection = [note];
+        }
+        this.drag = {
+            mode: this.onEdge(note, position)? "resize" : "move",
+            ...position,
+            originals: new Map(this.game.selection.map((picked) => [picked, { startTime: picked.startTime, endTime: picked.endTime, noteValue: picked.noteValue }]))
+        };
+    }
+
+    mouseMove(e){
+        const drag = this.drag;
+        const { x, y } = this.position(e);
+        if(drag.mode === "empty"){
+            this.game.selectionBox = { x0: drag.x, y0: drag.y, x1: x, y1: y };
+            return;
+        }
+        //Moves the notes right on the roll while you drag. The script catches up when you let go.
+        const originals = [...drag.originals.values()];
+        let timeShift = this.snapTime(this.game.xToTime(x) - this.game.xToTime(drag.x));
+        if(drag.mode === "resize"){
+            const shortest = Math.min(...originals.map(({ startTime, endTime }) => endTime - startTime));
+            timeShift = Math.max(timeShift, (this.snap || 1/32) - shortest);
+            drag.originals.forEach((original, note) => note.endTime = original.endTime + timeShift);
+            return;
+        }
+        timeShift = Math.max(timeShift, -Math.min(...originals.map(({ startTime }) => startTime)));
+        const values = originals.map(({ noteValue }) => noteValue);
+        const noteShift = Math.min(Math.max(this.game.yToNote(y) - this.game.yToNote(drag.y), -Math.min(...values)), 127 - Math.max(...values));
+        drag.originals.forEach((original, note) => {
+            note.startTime = original.startTime + timeShift;
+            note.endTime = original.endTime + timeShift;
+            note.noteValue = original.noteValue + noteShift;
         });
     }
-    shuffleMonsters(){
-        //this doesn't work
-        //this.monsters = this.monsters
-        //    .map(value => ({ value, sort: Math.random() }))
-        //    .sort((a, b) => a.sort - b.sort)
-        //    .map(({ value }) => value)
+
+    mouseUp(e){
+        const drag = this.drag;
+        this.drag = undefined;
+        this.game.selectionBox = undefined;
+        const { x, y } = this.position(e);
+        if(drag.mode === "empty"){
+            if(Math.abs(x - drag.x) * this.canvas.clientWidth < 4 && Math.abs(y - drag.y) * this.canvas.clientHeight < 4){
+                this.add(x, y);
+            }else{
+                this.boxSelect(drag, { x, y });
+            }
+            return;
+        }
+        const moved = [...drag.originals].filter(([note, original]) =>
+            note.startTime !== original.startTime || note.endTime !== original.endTime || note.noteValue !== original.noteValue);
+        if(moved.length === 0) return;
+        const pitchOnly = moved.every(([note, original]) => note.startTime === original.startTime && note.endTime === original.endTime);
+        this.commit((oldText) => pitchOnly? this.retune(oldText, moved) : (moved.length === 1)? this.reshape(oldText, ...moved[0]) : undefined);
     }
 
-    calculateRanges(){
-        const calculate = (notes) => {
-            const maxNote = notes.reduce((prev, current) => (prev.noteValue > current.noteValue) ? prev : current);
-            const minNote = notes.reduce((prev, current) => (prev.noteValue < current.noteValue) ? prev : current);
-            
-            return {minNote, maxNote};
+    //Every note the box touches. Shift or ctrl adds them to what you had.
+    boxSelect(from, to){
+        const [x0, x1] = [Math.min(from.x, to.x), Math.max(from.x, to.x)];
+        const [top, bottom] = [this.game.yToNote(Math.min(from.y, to.y)), this.game.yToNote(Math.max(from.y, to.y))];
+        const boxed = this.game.notes.filter((note) =>
+            note.noteValue <= top && note.noteValue >= bottom &&
+            this.game.timeToX(note.endTime) > x0 && this.game.timeToX(note.startTime) < x1);
+        this.game.selection = from.toggle? [...new Set([...this.game.selection, ...boxed])] : boxed;
+    }
+
+    //A new note goes in the voice you've got picked, or the one you're fighting, or the first one
+    add(x, y){
+        const picked = this.game.selection[0];
+        const voice = picked?.voice ?? this.game.fightVoice ?? this.game.voices[0] ?? "";
+        const sameVoice = this.game.notes.find((note) => (note.voice ?? "") === voice);
+        const startTime = Math.max(this.snap? Math.floor(this.game.xToTime(x) / this.snap) * this.snap : this.game.xToTime(x), 0);
+        const noteValue = this.game.yToNote(y);
+        const note = {
+            noteValue,
+            noteLetter: MIDIInput.getMIDINoteInfo(noteValue).noteName,
+            velocity: picked?.velocity ?? sameVoice?.velocity ?? 1.0,
+            startTime,
+            endTime: startTime + (this.snap || 1/8),
+            voice,
+            instrument: sameVoice?.instrument
+        };
+        this.game.notes.push(note);
+        this.game.selection = [note];
+        this.commit((oldText) => this.insertNote(oldText, note));
+    }
+
+    remove(notes){
+        const removed = new Set(notes);
+        this.game.notes = this.game.notes.filter((note) => !removed.has(note));
+        this.game.selection = [];
+        this.commit((oldText) => this.removeNotes(oldText, notes));
+    }
+
+    //Puts the roll's notes back into the script. inPlace gives back the script with just the edited notes' tokens changed,
+    //so repeats, phrases and comments stay put, or undefined if it can't do that.
+    //Then it writes the script out again, which flattens it, so that asks first.
+    commit(inPlace){
+        const oldText = this.editor.getValue();
+        let text = inPlace(oldText);
+        if(text === undefined){
+            const { notes, tempo } = analyzeMusicScript(oldText);
+            const plain = notesToMusicScript(notes, { tempo }) === oldText.replace(/\r\n/g, "\n").trim();
+            if(!plain && !confirm("This writes the script out again as plain notes, so its repeats, phrases, chord symbols and comments get spelled out or dropped. Ctrl+Z in the editor brings them back. Go ahead?")){
+                this.game.setNotes(notes);
+                return;
+            }
+            text = notesToMusicScript(this.game.notes, { tempo });
         }
-        const setRanges = ({minNote, maxNote}) => {
-            this.highestNote = maxNote.noteValue ?? 0;
-            this.lowestNote = minNote.noteValue ?? 0;
-            this.highestNoteLetter = maxNote.noteLetter;
-            this.lowestNoteLetter = minNote.noteLetter;
+        this.write(text);
+    }
+
+    //The script with each changed note's token spelled for its new pitch, or undefined if one of them can't be done on its own:
+    //it got played more than once (repeats, phrases), it's part of a chord, or it's tied
+    retune(oldText, changes){
+        const lines = oldText.split("\n");
+        const uses = new Map();
+        for(let note of analyzeMusicScript(oldText).notes){
+            const key = note.sourceRow + ":" + note.sourceColumn;
+            uses.set(key, (uses.get(key) ?? 0) + 1);
         }
+        const hasKey = /^\s*key\s/m.test(oldText);
+        const edits = [];
+        for(let [note] of changes){
+            if(note.chord || note.sourceColumn === undefined || uses.get(note.sourceRow + ":" + note.sourceColumn) !== 1) return undefined;
+            const token = lines[note.sourceRow]?.slice(note.sourceColumn).match(/^\S+/)?.[0];
+            const match = token?.match(/^([<>]*)([A-Ga-g])(##|bb|#|b|x|n)?(-?\d+)?(:[\d./]+)?(!)?$/);
+            if(!match) return undefined;
+            const written = note.noteValue - note.sourceTranspose;
+            if(written < 0) return undefined;
+            //Spelled out with its octave so it doesn't care what came before. The n keeps the key signature off it.
+            const { noteName, octave } = MIDIInput.getMIDINoteInfo(written);
+            const spelled = match[1] + noteName + ((hasKey && noteName.length === 1)? "n" : "") + octave + (match[5] ?? "") + (match[6] ?? "");
+            edits.push({ row: note.sourceRow, column: note.sourceColumn, length: token.length, spelled });
+        }
+        //Right to left, so the columns stay good
+        edits.sort((a, b) => b.row - a.row || b.column - a.column).forEach(({ row, column, length, spelled }) => {
+            lines[row] = lines[row].slice(0, column) + spelled + lines[row].slice(column + length);
+        });
+        return lines.join("\n");
+    }
 
-        this.end = Math.max(
-            ...this.ghostNotes.filter(note => note.endTime > 0).map(note => note.endTime),
-            ...this.notes.filter(note => note.endTime > 0).map(note => note.endTime),
-            0 // This ensures that Math.max has at least one argument
-        );        
-        if(this.ghostNotes.length > 0 && this.notes.length > 0){
-            const {maxNote: maxGhostNote, minNote: minGhostNote} = calculate(this.ghostNotes);
-            const {maxNote: maxRealNote, minNote: minRealNote} = calculate(this.notes);
-            const maxNote = (maxGhostNote.noteValue > maxRealNote.noteValue)? maxGhostNote : maxRealNote;
-            const minNote = (minGhostNote.noteValue < minRealNote.noteValue)? minGhostNote : minRealNote;
-            
-            setRanges({minNote, maxNote});
-        } else if(this.ghostNotes.length > 0){
-            setRanges(calculate(this.ghostNotes));
-        }else if(this.notes.length > 0){
-            setRanges(calculate(this.notes));
-        }else{
-            this.highestNote = undefined;
-            this.lowestNote = undefined;
-            this.highestNoteLetter = 'C';
-            this.lowestNoteLetter = 'C';
+    //The script with one moved or resized note changed where it's written, or undefined if that would move other notes too.
+    //The token gets its new pitch and length, and rests around its line keep everything after it where it was.
+    reshape(oldText, note, original){
+        const lines = oldText.split("\n");
+        const { notes } = analyzeMusicScript(oldText);
+        const row = note.sourceRow;
+        if(note.chord || note.sourceColumn === undefined || notes.filter((other) => other.sourceRow === row && other.sourceColumn === note.sourceColumn).length !== 1) return undefined;
+        const line = lines[row] ?? "";
+        const token = line.slice(note.sourceColumn).match(/^\S+/)?.[0];
+        const match = token?.match(/^([<>]*)([A-Ga-g](?:##|bb|#|b|x|n)?-?\d*)(:[\d./]+)?(!)?$/);
+        if(!match) return undefined;
+
+        let pitch = match[2];
+        if(note.noteValue !== original.noteValue){
+            const written = note.noteValue - note.sourceTranspose;
+            if(written < 0) return undefined;
+            const { noteName, octave } = MIDIInput.getMIDINoteInfo(written);
+            pitch = noteName + ((/^\s*key\s/m.test(oldText) && noteName.length === 1)? "n" : "") + octave;
         }
+        const lineStart = oldText.split("\n").slice(0, row).join("\n").length + ((row > 0)? 1 : 0);
+        const { step } = scriptStateAt(oldText, lineStart);
+        const oldLength = original.endTime - original.startTime;
+        const length = note.endTime - note.startTime;
+        const lengthText = (Math.abs(length - oldLength) < 1e-6)? (match[3] ?? "") : (Math.abs(length - step) < 1e-6)? "" : ":" + formatScriptDuration(length);
+        lines[row] = line.slice(0, note.sourceColumn) + match[1] + pitch + lengthText + (match[4] ?? "") + line.slice(note.sourceColumn + token.length);
 
-        if(isNaN(this.end)){
-            console.warn("end is NaN. Parsing the script probably failed and put NaN for note.endTime")
+        //On its own line, the line lasts as long as the note. Rests before and after it make up the difference.
+        const shift = note.startTime - original.startTime;
+        const endShift = shift + length - oldLength;
+        if(line.trim() === token){
+            const indent = line.match(/^\s*/)[0];
+            const nextRow = (from, direction) => {
+                let at = from + direction;
+                while(lines[at] !== undefined && (lines[at].trim() === "" || lines[at].trim().startsWith("//"))) at += direction;
+                return at;
+            };
+            //Changes the rest at restRow by amount, or puts a new one at insertRow. Rests that would go negative stay, and the check below catches it.
+            const adjust = (restRow, insertRow, amount) => {
+                const rest = this.restLength(lines[restRow], step);
+                if(!rest){
+                    if(amount > 1e-6) lines.splice(insertRow, 0, indent + "rest:" + formatScriptDuration(amount));
+                }else if(rest + amount > 1e-6){
+                    lines[restRow] = indent + "rest:" + formatScriptDuration(rest + amount);
+                }else if(rest + amount > -1e-6){
+                    lines.splice(restRow, 1);
+                }
+            };
+            //After first, so the rows before it stay good
+            if(Math.abs(endShift) > 1e-6) adjust(nextRow(row, 1), row + 1, -endShift);
+            if(Math.abs(shift) > 1e-6) adjust(nextRow(row, -1), row, shift);
+        }else if(Math.abs(shift) > 1e-6){
+            return undefined;
         }
+
+        return this.matchesRoll(lines.join("\n"));
     }
 
-    setGhostNotes(ghostNotes){
-        this.ghostNotes = ghostNotes ?? [];
-        this.calculateRanges();
+    //The script with a new note written in where the roll has it, or undefined if it can't go in without moving other notes.
+    //It joins a line of its voice that starts when it does, or splits a rest, or goes after where its voice ends.
+    insertNote(oldText, note){
+        const lines = oldText.split("\n");
+        const { notes } = analyzeMusicScript(oldText);
+        const once = (other) => !other.chord && other.sourceColumn !== undefined
+            && notes.filter((same) => same.sourceRow === other.sourceRow && same.sourceColumn === other.sourceColumn).length === 1;
+        const rowStart = (row) => lines.slice(0, row).join("\n").length + ((row > 0)? 1 : 0);
+        const length = note.endTime - note.startTime;
+        //Spelled for the key where it goes, with its own octave so it doesn't care what's around it
+        const spell = (row) => {
+            const state = scriptStateAt(oldText, rowStart(row));
+            const { name, octave } = spellScriptNote(note.noteValue, state);
+            return name + octave + ((Math.abs(length - state.step) < 1e-6)? "" : ":" + formatScriptDuration(length));
+        };
+        if(note.noteValue - scriptStateAt(oldText, oldText.length).transpose < 0) return undefined;
+        const voice = note.voice ?? "";
+        const voiceNotes = notes.filter((other) => (other.voice ?? "") === voice);
+
+        const together = voiceNotes.find((other) => Math.abs(other.startTime - note.startTime) < 1e-6 && once(other));
+        if(together){
+            lines[together.sourceRow] = lines[together.sourceRow].trimEnd() + " " + spell(together.sourceRow);
+            return this.matchesRoll(lines.join("\n"));
+        }
+
+        //Walks on from the last line of its voice before it, over rests and settings, to the rest it fits in or the end of the voice
+        const last = voiceNotes.filter((other) => other.endTime <= note.startTime + 1e-6)
+            .reduce((latest, other) => (!latest || other.endTime > latest.endTime)? other : latest, undefined);
+        let row = -1;
+        let time = 0;
+        if(last){
+            if(!once(last)) return undefined;
+            row = last.sourceRow;
+            time = Math.min(...notes.filter((other) => other.sourceRow === row).map((other) => other.endTime));
+        }else if(voice !== ""){
+            row = lines.findIndex((line) => /^\s*(voice|track)\s/.test(line) && line.trim().split(/\s+/)[1] === voice);
+            if(row < 0) return undefined;
+        }
+        const indent = last? lines[row].match(/^\s*/)[0] : "";
+        let { step } = scriptStateAt(oldText, rowStart(row + 1));
+        let end = row;
+        for(let at = row + 1; ; at++){
+            const line = lines[at]?.trim();
+            if(line === undefined || /^(voice|track)(\s|$)/.test(line)){
+                const gap = note.startTime - time;
+                lines.splice(end + 1, 0, ...((gap > 1e-6)? [indent + "rest:" + formatScriptDuration(gap)] : []), indent + spell(end + 1));
+                break;
+            }
+            if(line === "" || line.startsWith("//")) continue;
+            end = at;
+            const rest = this.restLength(line, step);
+            if(rest && note.startTime > time + rest - 1e-6){
+                time += rest;
+            }else if(rest){
+                if(note.endTime > time + rest + 1e-6) return undefined;
+                const restIndent = lines[at].match(/^\s*/)[0];
+                const [before, after] = [note.startTime - time, time + rest - note.endTime];
+                lines.splice(at, 1, ...((before > 1e-6)? [restIndent + "rest:" + formatScriptDuration(before)] : []),
+                    restIndent + spell(at),
+                    ...((after > 1e-6)? [restIndent + "rest:" + formatScriptDuration(after)] : []));
+                break;
+            }else if(/^step\s/.test(line)){
+                step = parseScriptDuration(line.split(/\s+/)[1]) || step;
+            }else if(!scriptDynamic(line) && !/^(tempo|key|transpose|voicing|inversion|arp|instrument|octave|cresc|dim)(\s|$)/.test(line)){
+                //More notes, or a repeat or phrase, so it would push them along
+                return undefined;
+            }
+        }
+        return this.matchesRoll(lines.join("\n"));
     }
 
-    setNotes(notes){
-        this.notes = notes ?? this.notes;
-        this.calculateRanges();
+    //The script without the removed notes' tokens, or undefined if one of them can't go on its own.
+    //A line that loses all its notes turns into a rest as long as it was, so the notes after it stay put.
+    removeNotes(oldText, removed){
+        const lines = oldText.split("\n");
+        const { notes } = analyzeMusicScript(oldText);
+        const rows = new Map();
+        for(let note of removed){
+            if(note.chord || note.sourceColumn === undefined
+                || notes.filter((other) => other.sourceRow === note.sourceRow && other.sourceColumn === note.sourceColumn).length !== 1) return undefined;
+            const token = lines[note.sourceRow]?.slice(note.sourceColumn).match(/^\S+/)?.[0];
+            if(!token) return undefined;
+            rows.set(note.sourceRow, [...(rows.get(note.sourceRow) ?? []), { column: note.sourceColumn, token, length: note.endTime - note.startTime }]);
+        }
+        for(let [row, tokens] of rows){
+            const line = lines[row];
+            //Right to left, so the columns stay good
+            const left = tokens.sort((a, b) => b.column - a.column)
+                .reduce((text, { column, token }) => text.slice(0, column) + text.slice(column + token.length).replace(/^[ \t]+/, ""), line);
+            if(left.trim() !== ""){
+                lines[row] = left.trimEnd();
+                continue;
+            }
+            const length = Math.min(...tokens.map((token) => token.length));
+            const { step } = scriptStateAt(oldText, lines.slice(0, row).join("\n").length + ((row > 0)? 1 : 0));
+            lines[row] = line.match(/^\s*/)[0] + ((Math.abs(length - step) < 1e-6)? "rest" : "rest:" + formatScriptDuration(length));
+        }
+        return this.matchesRoll(lines.join("\n"));
     }
 
-    run(){
-        window.requestAnimationFrame(()=>{
-            this.draw();
-            this.run();
+    //How long a rest line lasts, or undefined if it isn't one
+    restLength(line, step){
+        const rest = line?.trim().match(/^rest(?::(\S+))?$/);
+        return rest? (rest[1]? parseScriptDuration(rest[1]) : step) : undefined;
+    }
+
+    //Whatever an in-place edit comes out with has to parse back to exactly the notes on the roll, or it doesn't count
+    matchesRoll(text){
+        const key = (note) => [note.voice ?? "", note.noteValue, quantizeScriptTime(note.startTime, 1e-4), quantizeScriptTime(note.endTime, 1e-4)].join("|");
+        const wanted = this.game.notes.map(key).sort().join(";");
+        return (analyzeMusicScript(text).notes.map(key).sort().join(";") === wanted)? text : undefined;
+    }
+
+    //Only replaces the part that changed, as one edit, so one Ctrl+Z takes it all back
+    write(text){
+        const session = this.editor.getSession();
+        const doc = session.getDocument();
+        const oldText = session.getValue();
+        text = text.replace(/\r?\n/g, doc.getNewLineCharacter());
+        if(text === oldText) return;
+        let start = 0;
+        while(start < oldText.length && start < text.length && oldText[start] === text[start]) ++start;
+        let end = 0;
+        while(end < oldText.length - start && end < text.length - start && oldText[oldText.length - 1 - end] === text[text.length - 1 - end]) ++end;
+        const Range = ace.require("ace/range").Range;
+        session.replace(Range.fromPoints(doc.indexToPosition(start), doc.indexToPosition(oldText.length - end)), text.slice(start, text.length - end));
+    }
+}
+
+//Gutter icons and squiggles for everything analyzeMusicScript complained about
+let scriptErrorMarkers = [];
+function showScriptErrors(session, errors){
+    const Range = ace.require("ace/range").Range;
+    scriptErrorMarkers.forEach((marker) => session.removeMarker(marker));
+    scriptErrorMarkers = errors.map(({ row, column, endColumn, type }) =>
+        session.addMarker(new Range(row, column, row, Math.max(endColumn, column + 1)), "musicScript-" + type, "text"));
+    session.setAnnotations(errors.map(({ row, column, text, type }) => ({ row, column, text, type })));
+}
+
+// Initialize the application
+const audioPlayer = new AudioPlayer();
+const midiInput = new MIDIInput(audioPlayer);
+const piano = new PianoKeyboard('pianoContainer', audioPlayer);
+
+const qwertyInput = new QwertyInput(audioPlayer);
+setupPianoRange(piano);
+
+// Set up event listeners
+for (let input of [midiInput, qwertyInput]) {
+    input.addEventListener('noteon', (e) => {
+        const { note, noteName, fullNoteName, velocity } = e.detail;
+        //console.info(`Note On: ${fullNoteName} (${note}) velocity: ${velocity}`);
+        piano.setNoteActive(note, true);
+    });
+
+    input.addEventListener('noteoff', (e) => {
+        const { note, noteName, fullNoteName } = e.detail;
+        //console.info(`Note Off: ${fullNoteName} (${note})`);
+        piano.setNoteActive(note, false);
+    });
+}
+
+midiInput.addEventListener('sustain', (e) => piano.setSustain(e.detail.down));
+
+qwertyInput.addEventListener('octavechange', () => piano.setKeyHints(qwertyInput.hints()));
+piano.setKeyHints(qwertyInput.hints());
+const qwertyEnabled = document.getElementById('qwertyEnabled');
+qwertyEnabled?.addEventListener('change', () => qwertyInput.setEnabled(qwertyEnabled.checked));
+
+// Connect UI controls
+document.getElementById('midiConnectBtn').addEventListener('click', () => {
+    midiInput.init();
+});
+
+const useSynthSettings = setupSynthOptions(audioPlayer);
+setupMIDIInputOptions(midiInput);
+const midiOut = setupMIDIOutput(audioPlayer, midiInput);
+setupSoundFont(audioPlayer);
+
+var editor = ace.edit("editor", {fontSize: "20pt"});
+editor.setTheme("ace/theme/monokai");
+setupMusicScriptEditor(editor);
+
+const recorder = new PerformanceRecorder(audioPlayer, [midiInput, piano, qwertyInput]);
+
+const ally = new StepEntryKeyboard(editor);
+for (let input of [midiInput, qwertyInput]) {
+    ally.init(input, ({ note, noteName, fullNoteName, velocity }) =>{
+        if (recorder.recording) return; //It all goes in at the end
+        editor.session.insert(editor.getCursorPosition(), noteName + "\n");
+    });
+}
+
+const songList = {
+    "Toccata and Fugue": "octave 4\nstep 1/8\nA\nG\nstep 2.5/2\nA\n\nstep 1/8\nrest\nrest\nG\nF\nE\nD\nstep 1/2\nC#\nstep 1\nD\nrest\n\noctave 3\nstep 1/8\nA\nG\nstep 2.5/2\nA\n\nstep 1/8\nrest\nrest\nstep 1/4\nE\nF\nC#\nstep 1/2\nD",
+    "Heart and Soul": "octave 4\r\nstep 1/8\r\nC\r\nrest\r\nrest\r\nC\r\nrest\r\nrest\r\nstep 1\r\nC\r\n\r\nstep 1/8\r\nC\r\noctave 3\r\nB\r\nrest\r\nA\r\nB\r\noctave 4\r\nrest\r\nC\r\nstep 3/8\r\nD\r\n\r\nE\r\nE\r\nstep 1\r\nE\r\n\r\nstep 1/8\r\nE\r\nD\r\nrest\r\nC\r\nD\r\nrest\r\nE\r\nstep 3/8\r\nF\r\nstep 3/4\r\nG\r\nstep 1\r\nC\r\n\r\nstep 1/8\r\nA\r\nG\r\nrest\r\nF\r\nstep 3/8\r\nE\r\nD\r\nstep 5/8\r\nC\r\n\r\noctave 3\r\nstep 1/8\r\nB\r\nstep 1/4\r\nA\r\nrest\r\n\r\nstep 1/8\r\nrest\r\nG\r\nstep 1/4\r\nF\r\nrest\r\n\r\nstep 1/8\r\nrest\r\nG\r\nstep 3/8\r\nA\r\nB",
+    "None": ""
+}
+
+//The user's songs, kept in IndexedDB. If the browser won't give us a database, they live in memory until the page is closed.
+class SongLibrary {
+    constructor(db){
+        this.db = db;
+        this.memory = new Map();
+        this.nextMemoryId = 1;
+    }
+
+    static open(){
+        return new Promise((resolve) => {
+            let request;
+            try {
+                request = indexedDB.open("keyboardWarrior", 1);
+            } catch (e) {
+                console.warn(e);
+                resolve(new SongLibrary(undefined));
+                return;
+            }
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore("songs", { keyPath: "id", autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(new SongLibrary(request.result));
+            request.onerror = () => {
+                console.warn(request.error);
+                resolve(new SongLibrary(undefined));
+            };
         });
     }
 
-    uvX(x){
-        return x * this.canvas.width
+    get persistent(){
+        return this.db !== undefined;
     }
-    uvY(y){
-        return y * this.canvas.height
+
+    //One request on the songs store, resolved once it's written
+    request(mode, makeRequest){
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction("songs", mode);
+            const request = makeRequest(transaction.objectStore("songs"));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    //Every song, { id, name, text, modified }, by name
+    async list(){
+        const songs = this.db? await this.request("readonly", (store) => store.getAll()) : [...this.memory.values()];
+        return songs.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async get(id){
+        return this.db? await this.request("readonly", (store) => store.get(id)) : this.memory.get(id);
+    }
+
+    //Songs without an id are new ones. Gives back the id.
+    async save(song){
+        const record = { ...song, modified: Date.now() };
+        if(record.id === undefined) delete record.id;
+        if(!this.db){
+            record.id ??= this.nextMemoryId++;
+            this.memory.set(record.id, record);
+            return record.id;
+        }
+        return await this.request("readwrite", (store) => store.put(record));
+    }
+
+    async delete(id){
+        if(!this.db){
+            this.memory.delete(id);
+            return;
+        }
+        await this.request("readwrite", (store) => store.delete(id));
+    }
+
+    //The whole library as one JSON file
+    async exportBundle(){
+        const songs = (await this.list()).map(({ name, text, modified }) => ({ name, text, modified }));
+        return JSON.stringify({ format: "keyboardWarrior.library", version: 1, songs }, null, 2);
+    }
+
+    //Adds every song in a bundle as a new one, so nothing you have gets overwritten. Gives back how many there were.
+    async importBundle(json){
+        const bundle = JSON.parse(json);
+        if(bundle?.format !== "keyboardWarrior.library" || !Array.isArray(bundle.songs)){
+            throw "that isn't a Keyboard Warrior song library";
+        }
+        if(bundle.version > 1){
+            throw "that library is from a newer version of Keyboard Warrior";
+        }
+        let count = 0;
+        for(let song of bundle.songs){
+            if(typeof song?.name !== "string" || typeof song?.text !== "string") continue;
+            await this.save({ name: song.name, text: song.text });
+            ++count;
+        }
+        return count;
+    }
+}
+
+//Every finished run in localStorage. Runs know the hash of the notes they were played against,
+//so a song that gets changed starts a new history instead of mixing into the old one.
+class ScoreHistory {
+    constructor(){
+        this.storageKey = "keyboardWarrior.scores";
+        this.maxRuns = 2000; //Oldest go first
+        this.runs = []; //[{ hash, name, date, accuracy, meanOffset, dynamics, hits, total, bpm, section, fightVoice, passes }]
+        try {
+            this.runs = JSON.parse(localStorage.getItem(this.storageKey))?.runs ?? [];
+        } catch (e) {
+            console.warn(e);
+        }
+    }
+
+    //Same notes, same hash, whatever the comments and spacing in the script look like
+    static songHash(notes){
+        const text = notes.map((note) => [note.noteValue, note.startTime.toFixed(4), note.endTime.toFixed(4), note.voice ?? ""].join()).sort().join(";");
+        let hash = 0x811c9dc5;
+        for(let i = 0; i < text.length; ++i){
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, "0");
+    }
+
+    record(run){
+        this.runs.push(run);
+        if(this.runs.length > this.maxRuns) this.runs.splice(0, this.runs.length - this.maxRuns);
+        this.save();
+    }
+
+    //For after a run that's already recorded gets changed
+    save(){
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, runs: this.runs }));
+        } catch (e) {
+            console.warn(e);
+        }
+    }
+
+    //Runs of this version of a song, plus older versions that had the same name
+    runsFor(hash, name){
+        return this.runs.filter((run) => run.hash === hash || (name && run.name === name));
     }
 
-    lerp( a, b, zeroToOne ) {
-        return a + zeroToOne * ( b - a )
+    //The best run through the whole song, with every voice, or undefined if there isn't one yet
+    best(hash){
+        return this.bestOf(this.runs.filter((run) => run.hash === hash));
     }
-    invLerp(x, a, b){
-        return (x - a) / (b - a)
+
+    //Same, but for any version of the song with that name. Cheap enough to ask for every song in the picker.
+    bestNamed(name){
+        return this.bestOf(this.runs.filter((run) => run.name === name));
     }
 
-    //you gotta set the this.canvasContext.fillStyle before calling this
-    drawNotes(notes, shake = 5.0){
-        //This is in game space, from (0,0) in the top left corner, to (1,1) in the bottom right corner.
-        const noteRange = this.highestNote - this.lowestNote;
-        const noteHeight = 1.0/(noteRange + 1);
+    bestOf(runs){
+        return runs
+            .filter((run) => !run.section && run.fightVoice === undefined)
+            .reduce((best, run) => (!best || run.accuracy > best.accuracy)? run : best, undefined);
+    }
+}
 
-        for(let note of notes){
-            const y = (this.highestNote - note.noteValue) * noteHeight;  //This should always yield a >= 0 value
-            const xStart = this.invLerp(note.startTime * (120.0/this.bpm), this.start, this.end)
-            const xEnd = this.invLerp(note.endTime * (120.0/this.bpm), this.start, this.end)
+//Accuracy for every run, oldest on the left. This version of the song is in colour, older ones are grey.
+//Runs of just a loop or part of the song are hollow.
+function drawProgressChart(canvas, runs, hash){
+    const context = canvas.getContext("2d");
+    const { width, height } = canvas;
+    const padding = 40;
+    context.clearRect(0, 0, width, height);
+    context.font = "16px Arial";
+    context.fillStyle = context.strokeStyle = "grey";
+    context.lineWidth = 1;
 
-            const rect = [this.uvX(xStart), this.uvY(y) + (this.canvas.height / 500.0)*shake*Math.sin(1.5*note.startTime + (Date.now() / 1000)), this.uvX(xEnd - xStart), this.uvY(noteHeight)];
-            this.canvasContext.beginPath(); // Start a new path
-            this.canvasContext.fillRect(...rect); // Add a rectangle to the current path
-        }
+    for(let percent of [0, 50, 100]){
+        const y = height - padding - (percent / 100) * (height - 2 * padding);
+        context.beginPath();
+        context.moveTo(padding, y);
+        context.lineTo(width - padding / 2, y);
+        context.stroke();
+        context.textAlign = "right";
+        context.fillText(percent + "%", padding - 5, y + 5);
     }
-
-    drawBackground(){
-        this.canvasContext.fillStyle = this.darkMode? "black" : "white";
-        this.canvasContext.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    if(runs.length === 0){
+        context.textAlign = "center";
+        context.fillText("No runs yet. Play it through to the end!", width / 2, height / 2);
+        return;
     }
 
-    draw(){
-        if(this.playing){
-            this.drawAnimation();
-            
-            if(((Date.now() - this.startTime) / 1000.0) * (this.bpm/120.0) >= this.end){
-                if(this.ghostNotes.every(
-                    (ghostNote) => {
-                        //Every ghost note should have some real note that hits it
-                        return this.notes.some((realNote)=>{
-                            return ghostNote.noteValue == realNote.noteValue && (Math.abs(realNote.startTime - ghostNote.startTime) < .001)
-                        });
-                })){   //The game has ended
-                    //You win?
-                    this.canvasContext.fillStyle = "yellow";
-                    this.canvasContext.textAlign = "center";
-                    this.canvasContext.font = parseInt(this.canvas.height * .2) + "px Arial";
-                    this.canvasContext.fillText("You Win!", ...[this.canvas.width / 2.0, this.canvas.height / 2.0]);
-                }else{
-                    const correctNotes = this.ghostNotes.reduce(
-                        (acc, ghostNote) => {
-                            //Every ghost note should have some real note that hits it
-                            return this.notes.some((realNote)=>{
-                                return (ghostNote.noteValue == realNote.noteValue) && (Math.abs(realNote.startTime - ghostNote.startTime) < .001)
-                            })? (1 + acc) : acc;
-                    }, 0);
-                    //You lose?
-                    this.canvasContext.fillStyle = "#FF4433";
-                    this.canvasContext.textAlign = "center";
-                    this.canvasContext.font = parseInt(this.canvas.height * .2) + "px Arial";
-                    this.canvasContext.fillText(correctNotes+"/"+this.ghostNotes.length, ...[this.canvas.width / 2.0, this.canvas.height / 2.0]);
-                }
-            }
+    const point = (run, i) => [
+        padding + ((runs.length > 1)? i / (runs.length - 1) : .5) * (width - 1.5 * padding),
+        height - padding - run.accuracy * (height - 2 * padding)
+    ];
+    context.strokeStyle = "#3399FF";
+    context.lineWidth = 2;
+    context.beginPath();
+    runs.forEach((run, i) => {
+        if(run.hash !== hash || run.section) return;
+        context.lineTo(...point(run, i));
+    });
+    context.stroke();
 
-            return;
+    runs.forEach((run, i) => {
+        const color = (run.hash === hash)? "#3399FF" : "grey";
+        context.beginPath();
+        context.arc(...point(run, i), 5, 0, 2 * Math.PI);
+        if(run.section){
+            context.strokeStyle = color;
+            context.stroke();
+        }else{
+            context.fillStyle = color;
+            context.fill();
         }
-        if((this.end == 0) ||
-            (!this.highestNote) ||
-            (!this.lowestNote)){
-                return;
+    });
+
+    context.fillStyle = "grey";
+    context.textAlign = "left";
+    context.fillText(new Date(runs[0].date).toLocaleDateString(), padding, height - 10);
+    context.textAlign = "right";
+    context.fillText(new Date(runs[runs.length - 1].date).toLocaleDateString(), width - padding / 2, height - 10);
+}
+
+//Records every run the game finishes, and keeps the progress panel up to date.
+//getSong gives back { name, notes } for the song that's being played against.
+function setupScoreHistory(game, history, getSong, onRecord){
+    const chart = document.getElementById("progressChart");
+    const bestText = document.getElementById("progressBest");
+
+    const show = () => {
+        const { name, notes } = getSong();
+        const hash = ScoreHistory.songHash(notes);
+        const best = history.best(hash);
+        if(bestText){
+            bestText.textContent = best? "Best: " + (best.accuracy * 100).toFixed(1) + "% at " + Math.round(best.bpm) + " bpm, " + new Date(best.date).toLocaleDateString()
+                : "No full runs of this version yet";
         }
+        if(chart) drawProgressChart(chart, history.runsFor(hash, name), hash);
+    };
 
-        if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-            this.darkMode = true;
+    //Every pass through a loop goes into one run, which keeps the best of them. Otherwise practicing a bar for a while fills the history up with it.
+    let loopRun = undefined;
+    game.addEventListener('runfinish', (e) => {
+        const { summary, bpm, section, loopPass } = e.detail;
+        const { name, notes } = getSong();
+        const run = {
+            hash: ScoreHistory.songHash(notes),
+            name,
+            date: Date.now(),
+            accuracy: summary.accuracy,
+            meanOffset: summary.meanOffset,
+            dynamics: summary.dynamics,
+            hits: summary.hits,
+            total: summary.total,
+            bpm,
+            section,
+            fightVoice: game.fightVoice,
+            passes: loopPass && 1
+        };
+        const sameLoop = loopRun && loopPass > 1 && loopRun.hash === run.hash && loopRun.fightVoice === run.fightVoice
+            && loopRun.section.start === section.start && loopRun.section.end === section.end;
+        if(sameLoop){
+            const passes = loopRun.passes + 1;
+            if(run.accuracy > loopRun.accuracy) Object.assign(loopRun, run);
+            loopRun.passes = passes;
+            history.save();
         }else{
-            this.darkMode = false;
+            loopRun = loopPass? run : undefined;
+            history.record(run);
         }
+        show();
+        onRecord?.();
+    });
+    document.getElementById("progress")?.addEventListener('toggle', show);
 
-        this.drawBackground();
+    return show;
+}
 
-        //this.canvasContext.fillStyle = "blue";
-        //this.drawNotes(this.ghostNotes)
-        
-        this.canvasContext.fillStyle = this.darkMode? "white" : "black";
-        this.drawNotes(this.notes, 0)
-        
-        const noteRange = this.highestNote - this.lowestNote;
-        const noteHeight = 1.0/(noteRange + 1);
-        const horPixelSize = (this.canvas.width / this.canvas.clientWidth);
-        const vertPixelSize = (this.canvas.height / this.canvas.clientHeight);
+//The song picker. Your songs save themselves as you type. The songList ones are templates: you can play with them, but Duplicate to keep changes.
+//Gives back openUnsaved(text, name, options), for songs that come from somewhere else, like a MIDI file. options go to loadSong.
+//And refresh(), for when what songLabel says about a song might have changed.
+//firstSong can be a promise of one of those to open instead of the last song, as { text, name, options }.
+function setupSongLibrary(editor, loadSong, firstSong = Promise.resolve(undefined), songLabel = (name) => name){
+    const select = document.getElementById("songSelect");
+    const status = document.getElementById("songStatus");
+    const lastSongKey = "keyboardWarrior.lastSong";
+    let library = undefined;
 
-        //Notes overlay
-        this.canvasContext.globalCompositeOperation = this.darkMode? "lighten" : "darken";
-        
-        this.canvasContext.fillStyle = "grey";
-        this.drawNotes(this.ghostNotes)
+    //What's in the editor. id is set for library songs and template for songList ones. Neither means it isn't saved anywhere.
+    let current = { name: "", id: undefined, template: undefined };
+    let savedText = "";
+    let autosaveTimer = undefined;
+    let loading = false;
 
-        this.canvasContext.strokeStyle = "grey";
-        for(let i = 1; i < noteRange + 1; ++i){
-            const y = i * noteHeight;
-            
-            this.canvasContext.beginPath(); // Start a new path
+    const isDirty = () => editor.getValue() !== savedText;
+    const showStatus = (message) => {
+        ["songRename", "songDelete"].forEach((id) => {
+            const button = document.getElementById(id);
+            if(button) button.disabled = current.id === undefined;
+        });
+        if(!status) return;
+        if(message){
+            status.textContent = message;
+        }else if(current.id !== undefined){
+            status.textContent = isDirty()? "Saving…" : "Saved";
+        }else if(current.template !== undefined){
+            status.textContent = isDirty()? "Template. Duplicate it to keep your changes." : "Template";
+        }else{
+            status.textContent = "Not saved. Duplicate it to keep it.";
+        }
+        if(library && !library.persistent) status.textContent += " (This browser won't keep songs after the page closes.)";
+    };
+    const fill = async () => {
+        if(!select) return;
+        const userGroup = document.createElement("optgroup");
+        userGroup.label = "My songs";
+        userGroup.append(...(await library.list()).map((song) => new Option(songLabel(song.name), "song:" + song.id)));
+        const templateGroup = document.createElement("optgroup");
+        templateGroup.label = "Templates";
+        templateGroup.append(...Object.keys(songList).map((name) => new Option(songLabel(name), "template:" + name)));
+        const groups = [userGroup, templateGroup];
+        if(current.id === undefined && current.template === undefined){
+            groups.unshift(new Option(current.name || "Unsaved song", "unsaved"));
+        }
+        select.replaceChildren(...groups);
+        select.value = (current.id !== undefined)? "song:" + current.id : (current.template !== undefined)? "template:" + current.template : "unsaved";
+    };
 
-            const lineStart = [0, this.uvY(y)];
-            this.canvasContext.moveTo(...lineStart); // Move the pen to (30, 50)
+    //Saves the song if it changed. It's only saved once the library says so, and if it can't, you get told why and it says false.
+    const save = async (song) => {
+        try {
+            await library.save(song);
+            savedText = song.text;
+            return true;
+        } catch (e) {
+            console.warn(e);
+            showStatus("Couldn't save " + (song.name || "this song") + ": " + e);
+            return false;
+        }
+    };
+    const flush = async () => {
+        clearTimeout(autosaveTimer);
+        autosaveTimer = undefined;
+        if(current.id !== undefined && isDirty()){
+            if(!(await save({ id: current.id, name: current.name, text: editor.getValue() }))) return false;
+        }
+        showStatus();
+        return true;
+    };
+    //Checks with you before whatever's in the editor gets thrown away
+    const okToLeave = async () => {
+        if(current.id !== undefined){
+            return (await flush()) || confirm("Your changes to " + (current.name || "this song") + " couldn't be saved. Throw them away?");
+        }
+        return !isDirty() || confirm("Your changes to " + (current.name || "this song") + " aren't saved anywhere. Throw them away?");
+    };
+    const open = (song, text, options) => {
+        current = song;
+        savedText = text;
+        loading = true;
+        loadSong(text, { name: song.name, ...options });
+        loading = false;
+        if(song.id !== undefined || song.template !== undefined){
+            localStorage.setItem(lastSongKey, JSON.stringify({ id: song.id, template: song.template }));
+        }
+        fill();
+        showStatus();
+    };
+    const openTemplate = (name) => open({ name, id: undefined, template: name }, songList[name]);
 
-            const lineEnd = [this.uvX(1.0), this.uvY(y)];
-            this.canvasContext.lineTo(...lineEnd); // Draw a line to (150, 100)
-            
-            this.canvasContext.lineWidth = 1 * vertPixelSize;
-            this.canvasContext.stroke(); // Render the path
+    editor.getSession().on('change', () => {
+        if(loading) return;
+        showStatus();
+        if(current.id !== undefined){
+            clearTimeout(autosaveTimer);
+            autosaveTimer = setTimeout(() => flush().catch(console.warn), 1000);
         }
-        
-        for(let i = 0; i < this.end * 4; ++i){
-            const x = this.invLerp(i / 4.0, this.start, this.end);
+    });
+    //Saving is async, and beforeunload doesn't wait for it. The page goes hidden on every way out (and tab switches), and still gets to finish there.
+    document.addEventListener('visibilitychange', () => {
+        if(document.visibilityState === "hidden") flush().catch(console.warn);
+    });
+    window.addEventListener('beforeunload', (e) => {
+        if(current.id === undefined && isDirty()) e.preventDefault();
+    });
 
-            this.canvasContext.beginPath(); // Start a new path
+    select?.addEventListener('change', async () => {
+        const [kind, ...rest] = select.value.split(":");
+        const value = rest.join(":");
+        if(!(await okToLeave())){
+            fill();
+            return;
+        }
+        if(kind === "template"){
+            openTemplate(value);
+        }else if(kind === "song"){
+            const song = await library.get(parseInt(value));
+            if(song) open({ name: song.name, id: song.id, template: undefined }, song.text);
+        }
+    });
 
-            const lineStart = [this.uvX(x), 0];
-            this.canvasContext.moveTo(...lineStart); // Move the pen to (30, 50)
+    document.getElementById("songNew")?.addEventListener('click', async () => {
+        if(!library || !(await okToLeave())) return;
+        const name = prompt("Name for the new song:", "Untitled");
+        if(name === null) return;
+        const id = await library.save({ name, text: "" });
+        open({ name, id, template: undefined }, "");
+    });
+    document.getElementById("songRename")?.addEventListener('click', async () => {
+        if(!library || current.id === undefined) return;
+        const name = prompt("New name:", current.name);
+        if(name === null) return;
+        if(!(await save({ id: current.id, name, text: editor.getValue() }))) return;
+        current.name = name;
+        fill();
+        showStatus();
+    });
+    document.getElementById("songDuplicate")?.addEventListener('click', async () => {
+        if(!library) return;
+        const name = prompt("Name for the copy:", (current.name || "Untitled") + " copy");
+        if(name === null) return;
+        await flush();
+        const text = editor.getValue();
+        const id = await library.save({ name, text });
+        open({ name, id, template: undefined }, text);
+    });
+    document.getElementById("songDelete")?.addEventListener('click', async () => {
+        if(!library || current.id === undefined) return;
+        if(!confirm("Delete " + current.name + "? There's no getting it back.")) return;
+        clearTimeout(autosaveTimer);
+        await library.delete(current.id);
+        openTemplate(Object.keys(songList)[0]);
+    });
 
-            const lineEnd = [this.uvX(x), this.uvY(1.0)];
-            this.canvasContext.lineTo(...lineEnd); // Draw a line to (150, 100)
-            
-            this.canvasContext.lineWidth = ((i % 4 == 0)? 2 : 1) * horPixelSize * .70;
-            this.canvasContext.stroke(); // Render the path
+    document.getElementById("libraryExport")?.addEventListener('click', async () => {
+        if(!library) return;
+        await flush();
+        downloadFile(await library.exportBundle(), "keyboard-warrior-songs.json", "application/json");
+    });
+    const importInput = document.getElementById("libraryImport");
+    importInput?.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if(!file || !library) return;
+        try {
+            const count = await library.importBundle(await file.text());
+            await fill();
+            showStatus("Added " + count + " songs from " + file.name);
+        } catch (e) {
+            console.warn(e);
+            showStatus("Couldn't import " + file.name + ": " + e);
         }
-        
+        importInput.value = "";
+    });
 
-        const notes = ["C","C#","D","D#","E","F","F#","G","G#","A","A#","B"];
-        const highestNotePos = notes.indexOf(this.highestNoteLetter);
+    SongLibrary.open().then(async (opened) => {
+        library = opened;
+        const first = await firstSong.catch((e) => console.warn(e));
+        if(first){
+            open({ name: first.name, id: undefined, template: undefined }, first.text, first.options);
+            return;
+        }
+        let last = undefined;
+        try {
+            last = JSON.parse(localStorage.getItem(lastSongKey));
+        } catch (e) {
+            console.warn(e);
+        }
+        const song = (last?.id !== undefined)? await library.get(last.id) : undefined;
+        if(song){
+            open({ name: song.name, id: song.id, template: undefined }, song.text);
+        }else{
+            openTemplate((last?.template in songList)? last.template : Object.keys(songList)[0]);
+        }
+    });
 
-        this.canvasContext.fillStyle = "grey";
-        this.canvasContext.textAlign = "left";
-        for(let i = 0; i < noteRange + 1; ++i){
-            const y = (i + 1) * noteHeight; //I think text draws from the bottom up, for some reason
-            
-            this.canvasContext.beginPath(); // Start a new path
+    const openUnsaved = async (text, name, options) => {
+        if(!(await okToLeave())) return;
+        open({ name, id: undefined, template: undefined }, text, options);
+    };
+    const refresh = () => {
+        if(library) fill();
+    };
+    return { openUnsaved, refresh };
+}
 
-            function wrapIndex(index, length) {
-                return ((index % length) + length) % length;
-            }
+//Song links. The fragment is #song= then a version, a dot and the song packed up as base64url.
+//Old links have to keep opening, so a new format gets a new version instead of changing one of these:
+//  1   deflate-raw compressed JSON
+//  1j  the same JSON, not compressed, for browsers without CompressionStream
+const shareFragmentPrefix = "#song=";
 
-            const letter = notes[wrapIndex(highestNotePos - (i), notes.length)];
-            const fontSize = 20;
-            const pos = [0, this.uvY(y) - ((this.uvY(noteHeight) - fontSize)/2.0)];
-            this.canvasContext.font = parseInt(fontSize*vertPixelSize) + "px Arial";
-            this.canvasContext.fillText(letter, ...pos);
-        }
-        this.canvasContext.globalCompositeOperation = "source-over";
+function bytesToBase64URL(bytes){
+    let binary = "";
+    for(let i = 0; i < bytes.length; i += 0x8000){
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
     }
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
 
-    //Draw gouls
-    drawAnimation(shake = 5.0){
-        this.drawBackground();
-
-        //This is in game space, from (0,0) in the top left corner, to (1,1) in the bottom right corner.
-        const noteRange = this.highestNote - this.lowestNote;
-        const noteHeight = 1.0/(noteRange + 1);
-
-        let salt = 0;
-        this.canvasContext.textAlign = "center";
-        this.canvasContext.fillStyle = this.darkMode? "black" : "white";
-        for(let note of this.ghostNotes){
-            let y = (this.highestNote - note.noteValue) * noteHeight;  //This should always yield a >= 0 value
-            const runUpSpeed = 5.0;
-            const nowTime = Date.now();
-            const time = ((nowTime - this.startTime)/1000.0) - this.startDelay;
-            let xStart = (this.invLerp((note.startTime - time) * (120.0/this.bpm), this.start, this.end)) * runUpSpeed;
-            const xEnd = this.invLerp(note.endTime + this.startDelay * (120.0/this.bpm), this.start, this.end) * runUpSpeed
+function base64URLToBytes(text){
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
 
-            let fontSize = 40;
-            const vertPixelSize = (this.canvas.height / this.canvas.clientHeight);
-            this.canvasContext.font = parseInt(fontSize*vertPixelSize) + "px serif";
-            
-            function wrapIndex(index, length) {
-                return ((index % length) + length) % length;
-            }
+//state is { text, ghost, bpm, voice, volume }. Gives back the fragment, # and all.
+async function encodeShareFragment(state){
+    const json = JSON.stringify({
+        t: state.text,
+        g: (state.ghost !== state.text)? state.ghost : undefined,
+        b: state.bpm,
+        s: state.voice,
+        o: state.volume
+    });
+    if(typeof CompressionStream === "undefined"){
+        return shareFragmentPrefix + "1j." + bytesToBase64URL(new TextEncoder().encode(json));
+    }
+    const stream = new Blob([json]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+    const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+    return shareFragmentPrefix + "1." + bytesToBase64URL(compressed);
+}
 
-            function absBounce(x, floor){
-                return Math.abs(x - floor) + floor;
-            }
+//The other way. Throws if the fragment is broken, or from a version we don't know.
+async function decodeShareFragment(fragment){
+    const packed = fragment.substring(shareFragmentPrefix.length);
+    const dot = packed.indexOf(".");
+    const version = packed.substring(0, dot);
+    const bytes = base64URLToBytes(packed.substring(dot + 1));
+    let json;
+    if(version === "1"){
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+        json = await new Response(stream).text();
+    }else if(version === "1j"){
+        json = new TextDecoder().decode(bytes);
+    }else{
+        throw "this link is from a newer version of Keyboard Warrior";
+    }
+    const state = JSON.parse(json);
+    if(typeof state.t !== "string") throw "this link doesn't have a song in it";
+    return { text: state.t, ghost: state.g ?? state.t, bpm: state.b, voice: state.s, volume: state.o };
+}
 
-            const noteHit = this.notes.some(({
-                noteValue,
-                noteLetter,
-                startTime,
-                endTime,
-            }) => {
-                return noteValue == note.noteValue && (Math.abs(note.startTime - startTime) < .001)
-            });
-            if(noteHit){
-                const swordDistance = 0.0005;
-                if(xStart < swordDistance){
-                    xStart = absBounce(xStart, swordDistance);
-                    y += xStart * xStart;
-                }
-            }else{
-                fontSize = 80;
-            }
-            
-            const rect = [this.uvX(xStart) + this.uvX(.05), this.uvY(y) + (this.canvas.height / 500.0)*shake*Math.sin(1.5*note.startTime + (Date.now() / 1000)), this.uvX(xEnd - xStart), this.uvY(noteHeight)];
-            const monsterImg = this.monsterImages[this.monsters[wrapIndex(note.noteValue + (salt++ * 3), this.monsters.length)]];
-            if(rect[0] <= this.uvX(1.1) && monsterImg) {
-                this.canvasContext.drawImage(
-                    monsterImg,
-                    rect[0] - 72/2,  // center the image horizontally
-                    rect[1] - 72/2,  // center the image vertically
-                    72,
-                    72
-                );
-            }
-            
-            /*this.canvasContext.beginPath();
-            this.canvasContext.arc(rect[0], rect[1], 50, 0, 2 * Math.PI);
-            this.canvasContext.stroke();*/
-        }
+//The song in the page's link, as something setupSongLibrary can open, or undefined if there isn't one.
+//The link gets taken off the address once it's read, so a reload goes back to your own songs.
+async function readSharedSong(){
+    if(!location.hash.startsWith(shareFragmentPrefix)) return undefined;
+    const fragment = location.hash;
+    history.replaceState(null, "", location.pathname + location.search);
+    try {
+        const state = await decodeShareFragment(fragment);
+        if(state.voice) useSynthSettings(state.voice, state.volume);
+        return { text: state.text, name: "Shared song", options: { ghost: state.ghost, bpm: state.bpm } };
+    } catch (e) {
+        console.warn(e);
+        alert("Couldn't open that song link: " + e);
+        return undefined;
     }
+}
 
-    play(){
-        if(this.notes.length < 1) return;
-        this.shuffleMonsters();
-        this.startTime = Date.now()
-        this.playing = true;
-        //We don't need "notesBeingPlayed" because we can `stopAll()` with the audioPlayer, but we do need to stop new notes from being played
-        this.notesQueued = []
-        //this.sword.swing = false;
-        for(let note of this.notes){
-            this.notesQueued.push(setTimeout(()=>{
-                this.audioPlayer.playNote(note.noteValue)
-
-                this.sword.swing = !(this.sword.swing);
-                //this.sword.style.setProperty("scale", this.sword.swing? "1.0 -1.0" : "");
-                this.sword.style.setProperty("transform", this.sword.swing? "rotate(80deg)" : "rotate(-80deg)");
-
-                const noteRange = this.highestNote - this.lowestNote;
-                const noteHeight = 1.0/(noteRange + 1);
-                const y = (this.highestNote - note.noteValue) * noteHeight;
-                this.sword.style.setProperty("top", (y * 100.0) + "%");
-            }, (note.startTime + this.startDelay) * 1000 * (120.0/this.bpm)));
-            //This might silence the user's notes, but better that notes get silenced then notes get sustained forever.
-            setTimeout(()=>{
-                this.audioPlayer.stopNote(note.noteValue)
-            }, (note.endTime + this.startDelay) * 1000 * (120.0/this.bpm));
+//The copy link button, and opening links pasted into this tab
+function setupShareLink(game, editor, getGhostText, openUnsaved){
+    const button = document.getElementById("copyLink");
+    button?.addEventListener('click', async () => {
+        const fragment = await encodeShareFragment({
+            text: editor.getValue(),
+            ghost: getGhostText(),
+            bpm: game.bpm,
+            voice: game.audioPlayer.voice,
+            volume: game.audioPlayer.volume
+        });
+        const url = location.origin + location.pathname + location.search + fragment;
+        try {
+            await navigator.clipboard.writeText(url);
+            button.textContent = "Copied!";
+        } catch (e) {
+            console.warn(e);
+            prompt("Copy this link:", url);
         }
-        this.sword.style.setProperty("display", "block");
+        setTimeout(() => button.textContent = "Copy link", 2000);
+    });
+
+    window.addEventListener('hashchange', async () => {
+        const shared = await readSharedSong();
+        if(shared) openUnsaved(shared.text, shared.name, shared.options);
+    });
+}
+
+function setupTransport(game){
+    document.getElementById("stop")?.addEventListener('click', () => {
+        game.stop();
+    });
+
+    const bpmInput = document.getElementById("bpm");
+    if(bpmInput){
+        bpmInput.addEventListener('change', () => {
+            game.setBpm(parseFloat(bpmInput.value));
+        });
+        game.addEventListener('tempochange', (e) => {
+            bpmInput.value = Math.round(e.detail.bpm);
+        });
     }
 
-    stop(){
-        this.playing = false;
-        this.sword.style.setProperty("display", "none");
+    document.getElementById("loopA")?.addEventListener('click', () => {
+        game.setLoop(game.currentSongTime(), game.loopEnd);
+    });
+    document.getElementById("loopB")?.addEventListener('click', () => {
+        game.setLoop(game.loopStart, game.currentSongTime());
+    });
+    document.getElementById("loopClear")?.addEventListener('click', () => {
+        game.setLoop(undefined, undefined);
+    });
 
-        for(let note of this.notesQueued){
-            clearTimeout(note);
-        }
-        this.notesQueued = []
+    const loopEnabled = document.getElementById("loopEnabled");
+    loopEnabled?.addEventListener('change', () => {
+        game.setLoopEnabled(loopEnabled.checked);
+    });
+
+    const scoreDynamics = document.getElementById("scoreDynamics");
+    scoreDynamics?.addEventListener('change', () => {
+        game.judge.scoreDynamics = scoreDynamics.checked;
+    });
 
-        audioPlayer.stopAll()
+    const loopSpeedUp = document.getElementById("loopSpeedUp");
+    loopSpeedUp?.addEventListener('change', () => {
+        game.loopSpeedUp = Math.max(parseFloat(loopSpeedUp.value) || 0, 0);
+    });
+
+    //Which voice you're playing. Only worth showing when there's more than one.
+    const fightVoice = document.getElementById("fightVoice");
+    if(fightVoice){
+        const fillVoices = () => {
+            const allOption = document.createElement("option");
+            allOption.value = "*";
+            allOption.textContent = "All voices";
+            fightVoice.replaceChildren(allOption, ...game.voices.map((voice) => {
+                const option = document.createElement("option");
+                option.value = voice;
+                option.textContent = voice || "(first voice)";
+                return option;
+            }));
+            fightVoice.value = game.fightVoice ?? "*";
+            fightVoice.parentElement.hidden = game.voices.length < 2;
+        };
+        fillVoices();
+        game.addEventListener('voiceschange', fillVoices);
+        fightVoice.addEventListener('change', () => {
+            game.setFightVoice((fightVoice.value === "*")? undefined : fightVoice.value);
+        });
     }
+}
 
-    playStop(){
-        if(this.playing){
-            this.stop();
-        }else{
-            this.play();
-        }
+//Plays the notes into an OfflineAudioContext through the same kind of AudioPlayer the speakers use
+async function renderNotes(notes, { bpm, audioPlayer, sampleRate = 44100 }){
+    const secondsPerUnit = 120.0/bpm;
+    const releaseTail = 1.0; //seconds, so the last note gets to ring out
+    const duration = Math.max(...notes.map((note) => note.endTime), 0) * secondsPerUnit + releaseTail;
+
+    const context = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+    const offlinePlayer = new AudioPlayer(context);
+    offlinePlayer.copySettingsFrom(audioPlayer);
+    for(let note of notes){
+        if(note.startTime < 0) continue;
+        offlinePlayer.scheduleNote(note.noteValue, note.velocity ?? 1.0, note.startTime * secondsPerUnit, note.endTime * secondsPerUnit, note.instrument);
     }
+    return await context.startRendering();
 }
 
-// Initialize the application
-const audioPlayer = new AudioPlayer();
-const midiInput = new MIDIInput(audioPlayer);
-const piano = new PianoKeyboard('pianoContainer', audioPlayer);
+//16-bit PCM .wav from an AudioBuffer
+function encodeWAV(audioBuffer){
+    const channelCount = audioBuffer.numberOfChannels;
+    const frameCount = audioBuffer.length;
+    const bytesPerSample = 2;
+    const dataLength = frameCount * channelCount * bytesPerSample;
+    const view = new DataView(new ArrayBuffer(44 + dataLength));
 
-// Set up event listeners
-midiInput.addEventListener('noteon', (e) => {
-    const { note, noteName, fullNoteName, velocity } = e.detail;
-    //console.info(`Note On: ${fullNoteName} (${note}) velocity: ${velocity}`);
-    piano.setNoteActive(note, true);
-});
+    const writeString = (offset, str) => {
+        for(let i = 0; i < str.length; ++i) view.setUint8(offset + i, str.charCodeAt(i));
+    };
+    writeString(0, "RIFF");
+    view.setUint32(4, 36 + dataLength, true);
+    writeString(8, "WAVE");
+    writeString(12, "fmt ");
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); //PCM
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, audioBuffer.sampleRate, true);
+    view.setUint32(28, audioBuffer.sampleRate * channelCount * bytesPerSample, true);
+    view.setUint16(32, channelCount * bytesPerSample, true);
+    view.setUint16(34, 16, true);
+    writeString(36, "data");
+    view.setUint32(40, dataLength, true);
 
-midiInput.addEventListener('noteoff', (e) => {
-    const { note, noteName, fullNoteName } = e.detail;
-    //console.info(`Note Off: ${fullNoteName} (${note})`);
-    piano.setNoteActive(note, false);
-});
+    const channels = [];
+    for(let channel = 0; channel < channelCount; ++channel) channels.push(audioBuffer.getChannelData(channel));
+    let offset = 44;
+    for(let i = 0; i < frameCount; ++i){
+        for(let channel of channels){
+            const sample = Math.max(-1, Math.min(1, channel[i]));
+            view.setInt16(offset, (sample < 0)? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += bytesPerSample;
+        }
+    }
+    return view.buffer;
+}
 
-// Connect UI controls
-document.getElementById('midiConnectBtn').addEventListener('click', () => {
-    midiInput.init();
-});
+function setupWAVRender(game){
+    const button = document.getElementById("wavRender");
+    button?.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+            const audioBuffer = await renderNotes(parseMusicScript(editor.getValue()), { bpm: game.bpm, audioPlayer: game.audioPlayer });
+            downloadFile(encodeWAV(audioBuffer), "song.wav", "audio/wav");
+        } catch (e) {
+            console.warn(e);
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
 
-document.getElementById('waveform').addEventListener('change', (e) => {
-    audioPlayer.setWaveform(e.target.value);
-});
+//Hands the browser a file to save
+function downloadFile(data, fileName, type){
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-document.getElementById('volume').addEventListener('input', (e) => {
-    audioPlayer.setVolume(e.target.value / 100);
-});
+function setupMIDIExport(game){
+    document.getElementById("midiExport")?.addEventListener('click', () => {
+        const midiFile = MIDIFile.fromNotes(parseMusicScript(editor.getValue()), { bpm: game.bpm });
+        downloadFile(midiFile.toArrayBuffer(), "song.mid", "audio/midi");
+    });
+}
 
-var editor = ace.edit("editor", {fontSize: "20pt"});
-editor.setTheme("ace/theme/monokai");
-//editor.session.setMode("ace/mode/javascript");
+//Pick a .mid file, pick a track, and it gets loaded like one of the songList songs
+function setupMIDIImport(loadSong){
+    const fileInput = document.getElementById("midiImport");
+    const trackSelect = document.getElementById("midiImportTrack");
+    if(!fileInput || !trackSelect) return;
 
-const ally = new AccessibilityMIDIKeyboard();
-ally.init(midiInput, ({ note, noteName, fullNoteName, velocity }) =>{
-    editor.session.insert(editor.getCursorPosition(), noteName + "\n");
-});
+    let midiFile = undefined;
+    let fileName = "";
+    const loadTrack = () => {
+        if(!midiFile) return;
+        const notes = midiFile.toNotes(parseInt(trackSelect.value));
+        loadSong(notesToMusicScript(notes, { tempo: midiFile.bpm }), fileName + " - " + midiFile.tracks[trackSelect.value].name);
+    };
 
-const songList = {
-    "Toccata and Fugue": "octave 4\nstep 1/8\nA\nG\nstep 2.5/2\nA\n\nstep 1/8\nrest\nrest\nG\nF\nE\nD\nstep 1/2\nC#\nstep 1\nD\nrest\n\noctave 3\nstep 1/8\nA\nG\nstep 2.5/2\nA\n\nstep 1/8\nrest\nrest\nstep 1/4\nE\nF\nC#\nstep 1/2\nD",
-    "Heart and Soul": "octave 4\r\nstep 1/8\r\nC\r\nrest\r\nrest\r\nC\r\nrest\r\nrest\r\nstep 1\r\nC\r\n\r\nstep 1/8\r\nC\r\noctave 3\r\nB\r\nrest\r\nA\r\nB\r\noctave 4\r\nrest\r\nC\r\nstep 3/8\r\nD\r\n\r\nE\r\nE\r\nstep 1\r\nE\r\n\r\nstep 1/8\r\nE\r\nD\r\nrest\r\nC\r\nD\r\nrest\r\nE\r\nstep 3/8\r\nF\r\nstep 3/4\r\nG\r\nstep 1\r\nC\r\n\r\nstep 1/8\r\nA\r\nG\r\nrest\r\nF\r\nstep 3/8\r\nE\r\nD\r\nstep 5/8\r\nC\r\n\r\noctave 3\r\nstep 1/8\r\nB\r\nstep 1/4\r\nA\r\nrest\r\n\r\nstep 1/8\r\nrest\r\nG\r\nstep 1/4\r\nF\r\nrest\r\n\r\nstep 1/8\r\nrest\r\nG\r\nstep 3/8\r\nA\r\nB",
-    "None": ""
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if(!file) return;
+        try {
+            midiFile = MIDIFile.parse(await file.arrayBuffer());
+            fileName = file.name.replace(/\.midi?$/i, "");
+        } catch (e) {
+            console.warn(e);
+            midiFile = undefined;
+            document.getElementById('midiStatus').textContent = 'Couldn\'t read ' + file.name + ': ' + e;
+            return;
+        }
+
+        trackSelect.replaceChildren(...midiFile.tracks.map((track, i) => {
+            const option = document.createElement("option");
+            option.value = i;
+            option.textContent = track.name + " (" + track.notes.length + " notes)";
+            return option;
+        }));
+        trackSelect.hidden = midiFile.tracks.length < 2;
+        loadTrack();
+    });
+    trackSelect.addEventListener('change', loadTrack);
 }
 
 function autorun() {
     const canvas = document.getElementById("roll");
-    const game = new Game(canvas);
+    const game = new Game(canvas, audioPlayer);
     if(canvas){
         function resizeCanvas(){
             canvas.width = canvas.clientWidth * 2;
@@ -841,6 +5283,7 @@ function autorun() {
         window.addEventListener('resize', resizeCanvas, false);
 
         const session = editor.getSession();
+        let scriptTempo = undefined;
         function updateNotes(data, data2){
             //There's a lot of cool stuff in here
             //console.log(data)
@@ -850,14 +5293,71 @@ function autorun() {
 
             const editorValue = editor.getValue();
             //console.log(editorValue)
-            const notes = parseMusicScript(editorValue);
+            const { notes, tempo, errors } = analyzeMusicScript(editorValue);
             game.setNotes(notes);
+            showScriptErrors(session, errors);
+
+            //Only when the tempo line changes, so it doesn't fight with the bpm box
+            if(tempo !== scriptTempo){
+                scriptTempo = tempo;
+                if(tempo) game.setBpm(tempo);
+            }
         }
         updateNotes();
         session.on('change', updateNotes);
 
-        canvas.addEventListener('click', ()=>{
-            game.playStop();
+        //Play along
+        for(let input of [midiInput, piano, qwertyInput]){
+            input.addEventListener('noteon', (e) => {
+                game.noteOn(e.detail);
+            });
+            input.addEventListener('noteoff', (e) => {
+                game.noteOff(e.detail);
+            });
+        }
+
+        //Every voice gets its own MIDI out channel
+        midiOut.setVoices(game.voices);
+        game.addEventListener('voiceschange', (e) => midiOut.setVoices(e.detail.voices));
+
+        //The piano follows the song around
+        game.addEventListener('rangechange', (e) => {
+            if(e.detail.lowestNote !== undefined) piano.scrollToNotes(e.detail.lowestNote, e.detail.highestNote);
+        });
+        piano.scrollToNotes(game.lowestNote ?? 60, game.highestNote ?? 72);
+        setupPianoHints(game, piano);
+
+        //In edit mode the roll belongs to the RollEditor, unless you click it to pause
+        const rollEditor = new RollEditor(game, editor);
+        const editing = () => rollEditor.enabled && !game.playing;
+        const editRoll = document.getElementById("editRoll");
+        editRoll?.addEventListener('change', () => rollEditor.setEnabled(editRoll.checked));
+        const editSnap = document.getElementById("editSnap");
+        editSnap?.addEventListener('change', () => rollEditor.snap = parseFloat(editSnap.value));
+
+        //Click the roll to move the playhead, shift+drag to pick the A-B loop, double click to play from there
+        const canvasX = (e) => Math.min(Math.max(e.offsetX / canvas.clientWidth, 0), 1);
+        let dragStart = undefined;
+        canvas.addEventListener('mousedown', (e)=>{
+            if(editing()) return;
+            dragStart = canvasX(e);
+        });
+        canvas.addEventListener('mouseup', (e)=>{
+            if(dragStart === undefined) return;
+            const x = canvasX(e);
+            if(game.playing){
+                game.pause();
+            }else if(e.shiftKey && Math.abs(x - dragStart) > .01){
+                game.setLoop(game.xToTime(dragStart), game.xToTime(x));
+            }else{
+                game.seek(game.xToTime(x));
+            }
+            dragStart = undefined;
+        });
+        canvas.addEventListener('dblclick', (e)=>{
+            if(editing()) return;
+            game.seek(game.xToTime(canvasX(e)));
+            game.play();
         });
         
         const elm = document.getElementById("playStop");
@@ -866,33 +5366,47 @@ function autorun() {
                 game.playStop();
             });
         }
+
+        setupTransport(game);
+        setupPlaybackHighlight(game, editor);
         
         game.run()
     }
     
-    const elm = document.getElementById("songList");
-    if(elm){
-        for(let song of Object.keys(songList)){
-            let tab = document.createElement("td");
-            let button = document.createElement("button");
-            button.textContent = song;
-            button.onclick = () => {
-                game.setGhostNotes(parseMusicScript(songList[song]), -1) // moves cursor to the start
-                game.stop()
-
-                // Change this if you don't want the text to be pasted when you switch songs.
-                //editor.setValue("");
-                editor.setValue(songList[song]);
-            };
-            tab.appendChild(button)
-            elm.appendChild(tab);
-        }
-        const firstSongText = Object.values(songList)[0];
-        if(firstSongText){
-            editor.setValue(firstSongText, -1);
-            game.setGhostNotes(parseMusicScript(firstSongText)) // moves cursor to the start
-        }
+    //The song you're playing against, and what goes in the editor
+    //ghost is the song you play against, when it isn't what's in the editor. bpm wins over the script's tempo line.
+    let ghostText = "";
+    let songName = "";
+    function loadSong(text, { ghost = text, bpm, name = "" } = {}){
+        ghostText = ghost;
+        songName = name;
+        game.setGhostNotes(parseMusicScript(ghost))
+        game.stop()
+
+        // Change this if you don't want the text to be pasted when you switch songs.
+        //editor.setValue("");
+        editor.setValue(text, -1); // moves cursor to the start
+        if(bpm) game.setBpm(bpm);
+        showProgress();
     }
+
+    const scoreHistory = new ScoreHistory();
+    const songLabel = (name) => {
+        const best = scoreHistory.bestNamed(name);
+        return best? name + " (best " + Math.round(best.accuracy * 100) + "%)" : name;
+    };
+    const showProgress = setupScoreHistory(game, scoreHistory, () => ({ name: songName, notes: game.ghostNotes }), () => songs.refresh());
+
+    //A song link opens that song instead of the last one
+    const sharedSong = readSharedSong();
+    const songs = setupSongLibrary(editor, loadSong, sharedSong, songLabel);
+    const openUnsaved = songs.openUnsaved;
+    setupShareLink(game, editor, () => ghostText, openUnsaved);
+    setupMIDIImport(openUnsaved);
+    setupMIDIExport(game);
+    setupRecorder(recorder, game, editor);
+    setupStepEntry(ally, game, recorder);
+    setupWAVRender(game);
 }
 if (document.addEventListener)
 document.addEventListener('DOMContentLoaded', autorun, false)
@@ -0,0 +1,39 @@
+//Runs script.js outside the browser so the parts that don't need one (the music script parser and friends) can be tested.
+//Everything the page would give it is a stand in that accepts anything and does nothing, except what Node has too (streams for the share links and such).
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+function standIn() {
+    const target = function () {};
+    const proxy = new Proxy(target, {
+        get(target, key) {
+            if (key === Symbol.toPrimitive) return () => 0;
+            if (key === "then") return undefined;
+            return proxy;
+        },
+        set: () => true,
+        apply: () => proxy,
+        construct: () => proxy
+    });
+    return proxy;
+}
+
+//Returns the top level bindings asked for by name, like loadScript(["analyzeMusicScript"])
+module.exports = function loadScript(names) {
+    const context = vm.createContext({ console, setTimeout, clearTimeout, setInterval, clearInterval, TextEncoder, TextDecoder, EventTarget, Event, URL, btoa, atob,
+        CompressionStream, DecompressionStream, Response, Blob });
+    context.CustomEvent = class extends Event {
+        constructor(type, options) {
+            super(type);
+            this.detail = options?.detail;
+        }
+    };
+    for (let name of ["window", "document", "navigator", "ace", "localStorage", "indexedDB", "location", "history", "performance", "Image", "Option",
+        "AudioContext", "OfflineAudioContext", "alert", "confirm", "prompt"]) {
+        context[name] = standIn();
+    }
+    const source = fs.readFileSync(path.join(__dirname, "..", "script.js"), "utf8");
+    vm.runInContext(source + "\n;globalThis.__exports = { " + names.join(", ") + " };", context, { filename: "script.js" });
+    return context.__exports;
+};
@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const loadScript = require("./loadScript");
+
+const { MIDIFile } = loadScript(["MIDIFile"]);
+
+test("a .mid written from notes reads back with the same tracks, channels, tempo and notes", () => {
+    const notes = [
+        { noteValue: 60, velocity: 1.0, startTime: 0, endTime: .25, voice: "melody" },
+        { noteValue: 64, velocity: .5, startTime: .25, endTime: .75, voice: "melody" },
+        { noteValue: 64, velocity: .5, startTime: .75, endTime: 1, voice: "melody" },
+        { noteValue: 36, velocity: .8, startTime: 0, endTime: 1, voice: "bass" }
+    ];
+    const file = MIDIFile.parse(MIDIFile.fromNotes(notes, { bpm: 90 }).toArrayBuffer());
+
+    assert.strictEqual(file.division, 480);
+    assert.strictEqual(Math.round(file.bpm), 90);
+    assert.deepStrictEqual(Array.from(file.tracks, ({ name, channel }) => name + ":" + channel), ["melody:0", "bass:1"]);
+    assert.deepStrictEqual(Array.from(file.tracks[0].notes, ({ noteValue, velocity, startTick, endTick }) => [noteValue, velocity, startTick, endTick]),
+        [[60, 127, 0, 240], [64, 64, 240, 720], [64, 64, 720, 960]]);
+    assert.deepStrictEqual(Array.from(file.toNotes(0), ({ noteValue, startTime, endTime }) => [noteValue, startTime, endTime]),
+        [[60, 0, .25], [64, .25, .75], [64, .75, 1]]);
+    assert.deepStrictEqual(Array.from(file.toNotes(1), ({ noteValue, startTime, endTime }) => [noteValue, startTime, endTime]), [[36, 0, 1]]);
+});
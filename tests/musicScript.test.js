@@ -0,0 +1,77 @@
+//node --test tests/
+const test = require("node:test");
+const assert = require("node:assert");
+const loadScript = require("./loadScript");
+
+const { analyzeMusicScript, notesToMusicScript, scriptStateAt, scriptStateLines, transposeMusicScript } =
+    loadScript(["analyzeMusicScript", "notesToMusicScript", "scriptStateAt", "scriptStateLines", "transposeMusicScript"]);
+
+test("nested repeats that blow up stop at the line cap instead of hanging", () => {
+    const started = Date.now();
+    const { notes, errors } = analyzeMusicScript("repeat 200\nrepeat 200\nrepeat 200\nC\nend\nend\nend");
+    assert.ok(Date.now() - started < 10000, "took " + (Date.now() - started) + "ms");
+    assert.ok(notes.length > 0 && notes.length <= 100000);
+    assert.deepStrictEqual(Array.from(errors, ({ text }) => text), ["This repeats too many times to play"]);
+});
+
+test("a lone f is the note F, and forte is written dynamic f", () => {
+    const { notes } = analyzeMusicScript("octave 4\nC\nf\nF");
+    assert.deepStrictEqual(Array.from(notes, ({ noteValue }) => noteValue), [60, 65, 65]);
+
+    const loud = analyzeMusicScript("octave 4\ndynamic f\nC\npp\nD");
+    assert.deepStrictEqual(Array.from(loud.notes, ({ velocity }) => Math.round(velocity * 127)), [96, 33]);
+    assert.strictEqual(loud.errors.length, 0);
+});
+
+test("chord symbols that can't be notes work without brackets, and ones that can get a warning where they look meant as chords", () => {
+    const bare = analyzeMusicScript("octave 3\nCmaj7\nG7/B\nAm");
+    assert.deepStrictEqual(Array.from(bare.notes, ({ chord }) => chord.name).filter((name, i, names) => names.indexOf(name) === i), ["Cmaj7", "G7/B", "Am"]);
+    assert.strictEqual(bare.errors.length, 0);
+
+    const chords = analyzeMusicScript("octave 3\nDm7\nG7\n[C7]");
+    assert.deepStrictEqual(Array.from(chords.notes.filter((note) => !note.chord), ({ noteValue }) => noteValue), [103]);
+    assert.deepStrictEqual(Array.from(chords.errors, ({ text, type }) => type + ": " + text), ["warning: G7 plays the note G in octave 7. For the G7 chord, write [G7]"]);
+
+    assert.strictEqual(analyzeMusicScript("octave 4\nA5 C5 E6").errors.length, 0);
+    assert.strictEqual(analyzeMusicScript("octave 4\nC9").errors.length, 1);
+});
+
+test("voices play at full velocity until the script uses dynamics", () => {
+    const plain = analyzeMusicScript("octave 4\nC\nD");
+    assert.deepStrictEqual(Array.from(plain.notes, ({ velocity }) => velocity), [1, 1]);
+    assert.ok(!notesToMusicScript(plain.notes).includes("mf"));
+
+    const marked = analyzeMusicScript("octave 4\nC\nvoice bass\nC\nff\nD");
+    assert.deepStrictEqual(Array.from(marked.notes, ({ velocity }) => Math.round(velocity * 127)), [80, 80, 112]);
+});
+
+test("the state at a spot in the script counts octave shifts, transposes and dynamics", () => {
+    const script = "octave 3\nstep 1/2\nC\n>\nD\nE";
+    const state = scriptStateAt(script, script.indexOf("\nE"));
+    const { accidentals, ...rest } = state;
+    assert.deepStrictEqual({ ...rest }, { octave: 4, step: .5, dynamic: undefined, dynamics: false, transpose: 0 });
+    assert.deepStrictEqual({ ...accidentals }, { C: 0, D: 0, E: 0, F: 0, G: 0, A: 0, B: 0 });
+
+    const marked = "key F major\ntranspose 2\noctave 5\np\nC~\nC";
+    const markedState = scriptStateAt(marked, marked.length);
+    assert.strictEqual(markedState.dynamic, "p");
+    assert.strictEqual(markedState.octave, 5);
+    assert.strictEqual(markedState.transpose, 2);
+    assert.strictEqual(markedState.accidentals.B, -1);
+
+    assert.deepStrictEqual(Array.from(scriptStateLines(state, { octave: 2, step: .25 })), ["octave 4", "step 1/2"]);
+});
+
+test("chords with notes in other octaves and lengths come back out the same", () => {
+    const script = "octave 4\nstep 1/4\nC E3 G5:1/2\nD";
+    const key = (notes) => Array.from(notes, ({ noteValue, startTime, endTime }) => [noteValue, startTime, endTime].join()).sort();
+    const written = notesToMusicScript(analyzeMusicScript(script).notes);
+    assert.ok(!written.includes("//"), written);
+    assert.deepStrictEqual(key(analyzeMusicScript(written).notes), key(analyzeMusicScript(script).notes));
+});
+
+test("transposing by whole octaves moves the octave lines and leaves the notes alone", () => {
+    const { text, exact } = transposeMusicScript("octave 4\nC D E5 // hi\n> F\nvoice bass\nC2 G", 12);
+    assert.strictEqual(text, "octave 5\nC D E6 // hi\n> F\nvoice bass\noctave 1\nC3 G");
+    assert.ok(exact);
+});
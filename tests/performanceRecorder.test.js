@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const loadScript = require("./loadScript");
+
+const { PerformanceRecorder, scriptStateAt, parseMusicScript } = loadScript(["PerformanceRecorder", "scriptStateAt", "parseMusicScript"]);
+
+//What comes out of recording notes (note values, a quarter of a second apart) at the end of script
+function recordInto(script, noteValues) {
+    const recorder = new PerformanceRecorder({}, []);
+    recorder.bpm = 120;
+    recorder.fromFirstNote = true;
+    recorder.notes = noteValues.map((noteValue, i) => ({ noteValue, velocity: undefined, start: i / 4, end: (i + 1) / 4 }));
+    const text = recorder.toScript(1/8, scriptStateAt(script, script.length));
+    return Array.from(parseMusicScript(script + "\n" + text).slice(-noteValues.length), ({ noteValue }) => noteValue);
+}
+
+test("recording into a song with a key signature plays back what was played", () => {
+    assert.deepStrictEqual(recordInto("key F major\noctave 4\nC", [71, 70, 66, 65]), [71, 70, 66, 65]);
+    assert.deepStrictEqual(recordInto("key D major\noctave 4\nC", [61, 60, 65, 66]), [61, 60, 65, 66]);
+});
+
+test("recording into a transposed song plays back what was played", () => {
+    assert.deepStrictEqual(recordInto("transpose 2\noctave 4\nC", [71, 60, 73]), [71, 60, 73]);
+    assert.deepStrictEqual(recordInto("key Bb major\ntranspose -3\noctave 5\nC", [71, 70, 58]), [71, 70, 58]);
+});
@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const loadScript = require("./loadScript");
+
+const { PlaybackScheduler } = loadScript(["PlaybackScheduler"]);
+
+//Just a clock we move by hand, and a list of what got scheduled
+function fakePlayer() {
+    return {
+        time: 0,
+        scheduled: [],
+        cancels: 0,
+        now() { return this.time; },
+        scheduleNote(noteValue, velocity, start, end) { this.scheduled.push({ noteValue, start, end }); },
+        cancelScheduled() { ++this.cancels; }
+    };
+}
+
+test("a faster loop pass starts right on loop.start without cancelling anything", () => {
+    const player = fakePlayer();
+    const scheduler = new PlaybackScheduler(player);
+    scheduler.nextPassSecondsPerUnit = (segment) => segment.secondsPerUnit / 2;
+    const notes = [{ noteValue: 60, startTime: 0, endTime: .5 }, { noteValue: 62, startTime: .5, endTime: 1 }];
+    scheduler.start(notes, 0, 0, 120, { start: 0, end: 1 });
+    const cancels = player.cancels;
+    for (player.time = 0; player.time < 1.2; player.time += .025) scheduler.tick();
+    scheduler.stop();
+
+    assert.strictEqual(player.cancels, cancels + 1); //Only the stop at the end
+    const second = player.scheduled.filter(({ start }) => start >= 1 - 1e-9);
+    assert.deepStrictEqual(second.slice(0, 2).map(({ noteValue, start }) => [noteValue, start]), [[60, 1], [62, 1.25]]);
+    assert.strictEqual(scheduler.songTimeAt(1.125), .25);
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const loadScript = require("./loadScript");
+
+const { RollEditor, analyzeMusicScript } = loadScript(["RollEditor", "analyzeMusicScript"]);
+
+//Drags note number pick of the script like change says, and gives back what reshape writes for it
+function drag(text, pick, change) {
+    const notes = analyzeMusicScript(text).notes;
+    const note = notes[pick];
+    const original = { startTime: note.startTime, endTime: note.endTime, noteValue: note.noteValue };
+    Object.assign(note, change(note));
+    const game = { canvas: { addEventListener() {}, classList: { toggle() {} }, style: {} }, notes };
+    return new RollEditor(game, {}).reshape(text, note, original);
+}
+
+test("moving or resizing one note rewrites its token and the rests around it", () => {
+    const script = "octave 4\nstep 1/4\nC\nD\nrest\nE\nF";
+    assert.strictEqual(drag(script, 1, (note) => ({ endTime: note.endTime - 1/8 })), "octave 4\nstep 1/4\nC\nD:1/8\nrest:3/8\nE\nF");
+    assert.strictEqual(drag(script, 1, (note) => ({ endTime: note.endTime + 1/4 })), "octave 4\nstep 1/4\nC\nD:1/2\nE\nF");
+    assert.strictEqual(drag(script, 2, (note) => ({ startTime: note.startTime - 1/4, endTime: note.endTime - 1/4 })), "octave 4\nstep 1/4\nC\nD\nE\nrest:1/4\nF");
+});
+
+test("a move that would push the notes after it along gives up", () => {
+    const script = "octave 4\nstep 1/4\nC\nD\nrest\nE\nF";
+    assert.strictEqual(drag(script, 0, (note) => ({ startTime: note.startTime + 1/4, endTime: note.endTime + 1/4 })), undefined);
+});
+
+//Adds a note like a click on the roll would, and gives back what insertNote writes for it
+function add(text, note) {
+    const notes = analyzeMusicScript(text).notes;
+    const added = { voice: "", velocity: 1.0, ...note };
+    notes.push(added);
+    const game = { canvas: { addEventListener() {}, classList: { toggle() {} }, style: {} }, notes };
+    return new RollEditor(game, {}).insertNote(text, added);
+}
+
+//Takes notes number picks out of the script, and gives back what removeNotes writes for it
+function remove(text, picks) {
+    const notes = analyzeMusicScript(text).notes;
+    const removed = picks.map((pick) => notes[pick]);
+    const game = { canvas: { addEventListener() {}, classList: { toggle() {} }, style: {} }, notes: notes.filter((note) => !removed.includes(note)) };
+    return new RollEditor(game, {}).removeNotes(text, removed);
+}
+
+test("adding a note splits the rest it lands in, joins a line that starts with it, or goes after the end", () => {
+    const script = "octave 4\nstep 1/4\nC\nrest:3/4\nE";
+    assert.strictEqual(add(script, { noteValue: 62, startTime: .5, endTime: .75 }), "octave 4\nstep 1/4\nC\nrest:1/4\nD4\nrest:1/4\nE");
+    assert.strictEqual(add(script, { noteValue: 64, startTime: 0, endTime: .25 }), "octave 4\nstep 1/4\nC E4\nrest:3/4\nE");
+    assert.strictEqual(add(script, { noteValue: 67, startTime: 1.5, endTime: 2 }), "octave 4\nstep 1/4\nC\nrest:3/4\nE\nrest:1/4\nG4:1/2");
+    assert.strictEqual(add("key D major\noctave 4\nC\nrest", { noteValue: 61, startTime: .25, endTime: .5 }), "key D major\noctave 4\nC\nC4");
+});
+
+test("adding a note that would push the notes after it along gives up", () => {
+    assert.strictEqual(add("octave 4\nC\nD\nE", { noteValue: 67, startTime: .125, endTime: .375 }), undefined);
+    assert.strictEqual(add("octave 4\nC\nrest\nrepeat 2\nD\nend", { noteValue: 67, startTime: .5, endTime: .75 }), undefined);
+});
+
+test("removing a note leaves a rest in its place, or just takes its token off a line with others", () => {
+    const script = "octave 4\nstep 1/4\nC\nD:1/2\nE G\n// the end\nF";
+    assert.strictEqual(remove(script, [1]), "octave 4\nstep 1/4\nC\nrest:1/2\nE G\n// the end\nF");
+    assert.strictEqual(remove(script, [0]), "octave 4\nstep 1/4\nrest\nD:1/2\nE G\n// the end\nF");
+    assert.strictEqual(remove(script, [3]), "octave 4\nstep 1/4\nC\nD:1/2\nE\n// the end\nF");
+    assert.strictEqual(remove(script, [2, 3]), "octave 4\nstep 1/4\nC\nD:1/2\nrest\n// the end\nF");
+});
+
+test("removing a note that gets played more than once gives up", () => {
+    assert.strictEqual(remove("octave 4\nrepeat 2\nC\nend\nD", [0]), undefined);
+});
@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const loadScript = require("./loadScript");
+
+const { encodeShareFragment, decodeShareFragment } = loadScript(["encodeShareFragment", "decodeShareFragment"]);
+
+test("a song link opens the same song, ghost, tempo and sound it was made from", async () => {
+    const state = { text: "tempo 100\noctave 4\nC D E // ünïcode too", ghost: "octave 4\nC", bpm: 100, voice: "Piano-ish", volume: .6 };
+    const fragment = await encodeShareFragment(state);
+    assert.match(fragment, /^#song=1\.[\w-]+$/);
+    assert.deepStrictEqual({ ...await decodeShareFragment(fragment) }, state);
+
+    //The ghost only goes in the link when it's different, and comes back as the song when it isn't
+    const plain = await decodeShareFragment(await encodeShareFragment({ ...state, ghost: state.text }));
+    assert.strictEqual(plain.ghost, state.text);
+});
+
+test("uncompressed links still open, and ones from a newer version say so", async () => {
+    const json = Buffer.from(JSON.stringify({ t: "octave 4\nC", b: 120 })).toString("base64url");
+    const state = await decodeShareFragment("#song=1j." + json);
+    assert.strictEqual(state.text, "octave 4\nC");
+    assert.strictEqual(state.ghost, "octave 4\nC");
+    assert.strictEqual(state.bpm, 120);
+    await assert.rejects(decodeShareFragment("#song=2." + json), /newer version/);
+});
@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const loadScript = require("./loadScript");
+
+const { StepEntryKeyboard, parseMusicScript } = loadScript(["StepEntryKeyboard", "parseMusicScript"]);
+
+//Just enough of an Ace editor for insert: one string, a cursor, and index <-> row/column
+function fakeEditor(text) {
+    const editor = { text, cursor: undefined };
+    const toIndex = ({ row, column }) => editor.text.split("\n").slice(0, row).reduce((index, line) => index + line.length + 1, 0) + column;
+    const toPosition = (index) => {
+        const lines = editor.text.slice(0, index).split("\n");
+        return { row: lines.length - 1, column: lines[lines.length - 1].length };
+    };
+    const doc = { positionToIndex: toIndex, indexToPosition: toPosition, createAnchor: () => ({}) };
+    editor.session = {
+        getValue: () => editor.text,
+        getDocument: () => doc,
+        insert(position, inserted) {
+            const index = toIndex(position);
+            editor.text = editor.text.slice(0, index) + inserted + editor.text.slice(index);
+            return toPosition(index + inserted.length);
+        }
+    };
+    editor.getCursorPosition = () => editor.cursor;
+    editor.moveCursorToPosition = (position) => editor.cursor = position;
+    editor.cursor = toPosition(text.length);
+    return editor;
+}
+
+//The notes step entry's chords (note values) come out as at the end of script
+function enter(script, chords) {
+    const editor = fakeEditor(script);
+    const stepEntry = new StepEntryKeyboard(editor);
+    chords.forEach((chord) => stepEntry.insert(chord, 1/4));
+    return Array.from(parseMusicScript(editor.text).slice(-chords.flat().length), ({ noteValue }) => noteValue);
+}
+
+test("step entry spells notes for the key and transpose at the cursor", () => {
+    assert.deepStrictEqual(enter("key F major\noctave 4\nC", [[71], [70], [65, 58]]), [71, 70, 65, 58]);
+    assert.deepStrictEqual(enter("key A major\ntranspose -2\noctave 4\nC", [[61], [60, 68]]), [61, 68, 60]);
+});